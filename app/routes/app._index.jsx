@@ -1,14 +1,35 @@
-import { useLoaderData, useActionData, Form, useNavigation } from "react-router";
+import { useEffect } from "react";
+import { useLoaderData, useActionData, Form, useNavigation, useRevalidator } from "react-router";
 import { authenticate } from "../shopify.server";
+import { createAdminClient, GraphqlError } from "../services/graphql-client.server";
 import { getOrCreateShop } from "../services/settings.server";
-import { runFullSync, restoreAllHidden } from "../services/sync.server";
+import { enqueueJob } from "../services/job-queue.server";
+import { wakeJobWorker } from "../services/scheduler.server";
+import { MARK_ACTIONS } from "../services/product-marking.server";
+import { getLatestSyncRun, getSyncPreviewReport, startSyncRun } from "../services/sync-runs.server";
+import { formatAction } from "../utils/action-labels";
+import {
+  adoptDrift,
+  getDriftedSnapshots,
+  reapplyDrift,
+  restoreAllHidden,
+} from "../services/sync.server";
 import db from "../db.server";
 
 export const loader = async ({ request }) => {
-  const { session, admin } = await authenticate.admin(request);
+  const { session } = await authenticate.admin(request);
   const shop = await getOrCreateShop(session.shop);
 
-  const [deprioritizedCount, hiddenCount, restoredCount, recentActivity] = await Promise.all([
+  const [
+    deprioritizedCount,
+    hiddenCount,
+    removedCount,
+    restoredCount,
+    recentActivity,
+    syncRun,
+    previewRun,
+    drifted,
+  ] = await Promise.all([
     db.productSnapshot.count({
       where: { shopId: shop.id, action: "PUSHED_TO_END", status: "ACTIVE" },
     }),
@@ -16,19 +37,36 @@ export const loader = async ({ request }) => {
       where: { shopId: shop.id, action: "HIDDEN", status: "ACTIVE" },
     }),
     db.productSnapshot.count({
-      where: { shopId: shop.id, status: "RESTORED" },
+      where: { shopId: shop.id, action: "REMOVED_FROM_COLLECTION", status: "ACTIVE" },
+    }),
+    db.productSnapshot.count({
+      where: { shopId: shop.id, status: "RESTORED", action: { notIn: MARK_ACTIONS } },
     }),
     db.activityLog.findMany({
       where: { shopId: shop.id },
       orderBy: { createdAt: "desc" },
       take: 20,
     }),
+    getLatestSyncRun(shop.id),
+    getLatestSyncRun(shop.id, { preview: true }),
+    getDriftedSnapshots(shop.id),
   ]);
 
+  // Only the first rows go to the page; the whole report is a CSV download
+  const report = previewRun?.status === "COMPLETED" ? await getSyncPreviewReport(shop.id, previewRun.id) : null;
+
   return {
     shop,
-    stats: { deprioritizedCount, hiddenCount, restoredCount },
+    stats: { deprioritizedCount, hiddenCount, removedCount, restoredCount },
     recentActivity,
+    syncRun,
+    preview: previewRun && {
+      ...previewRun,
+      entries: report?.slice(0, PREVIEW_ROWS) ?? [],
+      entryCount: report?.length ?? 0,
+    },
+    // Shown with the activity log's action names and badges
+    drifted: drifted.map((entry) => ({ ...entry, action: getDemotion(entry) })),
   };
 };
 
@@ -36,33 +74,84 @@ export const action = async ({ request }) => {
   const { session, admin } = await authenticate.admin(request);
   const formData = await request.formData();
   const intent = formData.get("intent");
+  const client = createAdminClient(admin, session.shop);
 
-  if (intent === "runSync") {
-    const result = await runFullSync(admin, session.shop);
-    return { syncResult: result };
-  }
+  try {
+    // Runs in the background; the dashboard polls the run for progress
+    if (intent === "runSync") {
+      const run = await startSyncRun(session.shop);
+      return run.preview ? { error: "A sync preview is running. Try again once it has finished." } : null;
+    }
+
+    if (intent === "previewSync") {
+      const run = await startSyncRun(session.shop, { preview: true });
+      return run.preview ? null : { error: "A full sync is running. Preview again once it has finished." };
+    }
+
+    if (intent === "restoreAllHidden") {
+      const result = await restoreAllHidden(client, session.shop);
+      return { syncResult: result };
+    }
+
+    // Checks every demotion against the store, so it runs in the background too
+    if (intent === "checkDrift") {
+      const shop = await getOrCreateShop(session.shop);
+      await enqueueJob(shop.id, "RECONCILE_SNAPSHOTS", "all");
+      wakeJobWorker();
+      return { message: "Checking the store for manual changes. Reload the page to see what was found." };
+    }
+
+    if (intent === "adoptDrift") {
+      const shop = await getOrCreateShop(session.shop);
+      return adoptDrift(shop.id, formData.get("snapshotId"), formData.get("productTitle"));
+    }
 
-  if (intent === "restoreAllHidden") {
-    const result = await restoreAllHidden(admin, session.shop);
-    return { syncResult: result };
+    if (intent === "reapplyDrift") {
+      return reapplyDrift(client, session.shop, formData.get("snapshotId"), formData.get("productTitle"));
+    }
+  } catch (error) {
+    if (error instanceof GraphqlError) return { error: `Shopify API error: ${error.message}` };
+    throw error;
   }
 
   return null;
 };
 
 export default function Dashboard() {
-  const { shop, stats, recentActivity } = useLoaderData();
+  const { shop, stats, recentActivity, syncRun, preview, drifted } = useLoaderData();
   const actionData = useActionData();
   const navigation = useNavigation();
+  const revalidator = useRevalidator();
   const isSyncing = navigation.state === "submitting";
+  const isRunning = syncRun?.status === "RUNNING";
+  const isPreviewing = preview?.status === "RUNNING";
+
+  // Poll the running sync or preview for progress
+  useEffect(() => {
+    if (!isRunning && !isPreviewing) return;
+    const timer = setInterval(() => {
+      if (revalidator.state === "idle") revalidator.revalidate();
+    }, SYNC_POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [isRunning, isPreviewing, revalidator]);
 
   return (
     <s-page title="Dashboard">
+      {actionData?.error && (
+        <s-banner tone="critical" dismissible>
+          {actionData.error}
+        </s-banner>
+      )}
       {actionData?.syncResult && (
         <s-banner tone="info" dismissible>
           Sync complete: {actionData.syncResult.message}
         </s-banner>
       )}
+      {actionData?.message && (
+        <s-banner tone="success" dismissible>
+          {actionData.message}
+        </s-banner>
+      )}
 
       <s-box paddingBlockEnd="400">
         <div className="dp-kpi-grid">
@@ -74,6 +163,10 @@ export default function Dashboard() {
             <span className="dp-kpi-label">Hidden</span>
             <span className="dp-kpi-value">{stats.hiddenCount}</span>
           </div>
+          <div className="dp-kpi-card">
+            <span className="dp-kpi-label">Removed</span>
+            <span className="dp-kpi-value">{stats.removedCount}</span>
+          </div>
           <div className="dp-kpi-card">
             <span className="dp-kpi-label">Restored</span>
             <span className="dp-kpi-value">{stats.restoredCount}</span>
@@ -89,8 +182,14 @@ export default function Dashboard() {
         <div style={{ display: "flex", gap: "12px" }}>
           <Form method="post">
             <input type="hidden" name="intent" value="runSync" />
-            <s-button variant="primary" type="submit" disabled={isSyncing || undefined}>
-              {isSyncing ? "Syncing..." : "Run Full Sync"}
+            <s-button variant="primary" type="submit" disabled={isSyncing || isRunning || isPreviewing || undefined}>
+              {isRunning ? "Syncing..." : "Run Full Sync"}
+            </s-button>
+          </Form>
+          <Form method="post">
+            <input type="hidden" name="intent" value="previewSync" />
+            <s-button variant="secondary" type="submit" disabled={isSyncing || isRunning || isPreviewing || undefined}>
+              {isPreviewing ? "Previewing..." : "Preview Sync"}
             </s-button>
           </Form>
           {stats.hiddenCount > 0 && (
@@ -102,6 +201,172 @@ export default function Dashboard() {
             </Form>
           )}
         </div>
+        <p className="dp-helper-text">
+          Last full sync: {shop.lastSyncAt ? new Date(shop.lastSyncAt).toLocaleString() : "never"}
+          {" · "}
+          Next scheduled sync: {shop.syncSchedule !== "OFF" && shop.nextSyncAt
+            ? new Date(shop.nextSyncAt).toLocaleString()
+            : "not scheduled"}
+        </p>
+      </s-box>
+
+      {syncRun && (
+        <s-box paddingBlockEnd="400">
+          <s-card>
+            <s-box padding="400">
+              <h2 className="dp-section-header">
+                {isRunning ? "Sync in Progress" : "Last Sync Run"}
+              </h2>
+              <div className="dp-progress">
+                <div
+                  className={`dp-progress-bar dp-progress-bar--${syncRun.status.toLowerCase()}`}
+                  style={{ width: `${getSyncPercent(syncRun)}%` }}
+                />
+              </div>
+              <p className="dp-helper-text">
+                {formatSyncStatus(syncRun)} · {syncRun.processed}
+                {syncRun.total ? ` of ${syncRun.total}` : ""} products ·{" "}
+                {syncRun.deprioritized} deprioritized · {syncRun.hidden} hidden · {syncRun.removed} removed ·{" "}
+                {syncRun.restored} restored · {syncRun.skipped} skipped · {syncRun.failed} failed
+              </p>
+              {syncRun.errors && (
+                <ul className="dp-error-list">
+                  {JSON.parse(syncRun.errors).map((error, i) => (
+                    <li key={i}>{error}</li>
+                  ))}
+                </ul>
+              )}
+            </s-box>
+          </s-card>
+        </s-box>
+      )}
+
+      {preview && (
+        <s-box paddingBlockEnd="400">
+          <s-card>
+            <s-box padding="400">
+              <div className="dp-section-row">
+                <h2 className="dp-section-header">Sync Preview</h2>
+                {preview.entryCount > 0 && (
+                  <a href={`/app/sync-preview/${preview.id}`} className="dp-link">
+                    Download CSV
+                  </a>
+                )}
+              </div>
+              <p className="dp-helper-text">
+                {formatSyncStatus(preview)} · {preview.processed}
+                {preview.total ? ` of ${preview.total}` : ""} products checked. Nothing is changed — this is what a full
+                sync would do.
+              </p>
+              {preview.errors && (
+                <ul className="dp-error-list">
+                  {JSON.parse(preview.errors).map((error, i) => (
+                    <li key={i}>{error}</li>
+                  ))}
+                </ul>
+              )}
+              {preview.status !== "COMPLETED" ? null : preview.entryCount === 0 ? (
+                <p className="dp-helper-text">A full sync would make no changes.</p>
+              ) : (
+                <table className="dp-table">
+                  <thead>
+                    <tr>
+                      <th>Product</th>
+                      <th>Collection</th>
+                      <th>Action</th>
+                      <th>Reason</th>
+                      <th>Rule</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.entries.map((entry, i) => (
+                      <tr key={i}>
+                        <td>{entry.productTitle || entry.productId}</td>
+                        <td>{entry.collection || "—"}</td>
+                        <td>
+                          <span className={`dp-badge dp-badge--${entry.action.toLowerCase()}`}>
+                            {formatAction(entry.action)}
+                          </span>
+                        </td>
+                        <td>{entry.detail}</td>
+                        <td>{entry.rule || "—"}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+              {preview.entryCount > preview.entries.length && (
+                <p className="dp-helper-text">
+                  Showing the first {preview.entries.length} of {preview.entryCount} changes. Download the CSV for all of them.
+                </p>
+              )}
+            </s-box>
+          </s-card>
+        </s-box>
+      )}
+
+      <s-box paddingBlockEnd="400">
+        <s-card>
+          <s-box padding="400">
+            <div className="dp-section-row">
+              <h2 className="dp-section-header">Manual Changes</h2>
+              <Form method="post">
+                <input type="hidden" name="intent" value="checkDrift" />
+                <s-button variant="secondary" type="submit" disabled={isSyncing || undefined}>
+                  Check Store
+                </s-button>
+              </Form>
+            </div>
+            <p className="dp-helper-text">
+              Demoted products that were changed by hand, e.g. re-published, set back to active or dragged back up a collection. Keep the change to leave the product as it is when it is restocked, or re-apply TidyShelf's change.
+            </p>
+            {drifted.length === 0 ? (
+              <p className="dp-helper-text">No manual changes found.</p>
+            ) : (
+              <table className="dp-table">
+                <thead>
+                  <tr>
+                    <th>Product</th>
+                    <th>Demotion</th>
+                    <th>What Changed</th>
+                    <th>Noticed</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {drifted.map((entry) => (
+                    <tr key={entry.id}>
+                      <td>{entry.productTitle}</td>
+                      <td>
+                        <span className={`dp-badge dp-badge--${entry.action.toLowerCase()}`}>
+                          {formatAction(entry.action)}
+                        </span>
+                      </td>
+                      <td>{entry.detail}</td>
+                      <td>{new Date(entry.detectedAt).toLocaleString()}</td>
+                      <td>
+                        <div className="dp-drift-actions">
+                          <Form method="post">
+                            <input type="hidden" name="intent" value="adoptDrift" />
+                            <input type="hidden" name="snapshotId" value={entry.id} />
+                            <input type="hidden" name="productTitle" value={entry.productTitle} />
+                            <s-button variant="plain" type="submit" disabled={isSyncing || undefined}>Keep Change</s-button>
+                          </Form>
+                          <Form method="post">
+                            <input type="hidden" name="intent" value="reapplyDrift" />
+                            <input type="hidden" name="snapshotId" value={entry.id} />
+                            <input type="hidden" name="productTitle" value={entry.productTitle} />
+                            <s-button variant="plain" type="submit" disabled={isSyncing || undefined}>Re-apply</s-button>
+                          </Form>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </s-box>
+        </s-card>
       </s-box>
 
       <s-card>
@@ -116,6 +381,7 @@ export default function Dashboard() {
                   <th>Product</th>
                   <th>Action</th>
                   <th>Detail</th>
+                  <th>Rule</th>
                   <th>Time</th>
                 </tr>
               </thead>
@@ -129,6 +395,7 @@ export default function Dashboard() {
                       </span>
                     </td>
                     <td>{log.detail}</td>
+                    <td>{log.rule || "—"}</td>
                     <td>{new Date(log.createdAt).toLocaleString()}</td>
                   </tr>
                 ))}
@@ -141,13 +408,31 @@ export default function Dashboard() {
   );
 }
 
-function formatAction(action) {
-  const labels = {
-    DEPRIORITIZED: "Deprioritized",
-    HIDDEN: "Hidden",
-    RESTORED_POSITION: "Restored Position",
-    RESTORED_VISIBILITY: "Restored Visibility",
-    SKIPPED: "Skipped",
-  };
-  return labels[action] || action;
+const SYNC_POLL_INTERVAL_MS = 2000;
+// Preview entries shown on the dashboard; the CSV has all of them
+const PREVIEW_ROWS = 100;
+
+// Activity log action for each kind of snapshot that can drift
+const DEMOTION_BY_SNAPSHOT = {
+  PUSHED_TO_END: "DEPRIORITIZED",
+  HIDDEN: "HIDDEN",
+  REMOVED_FROM_COLLECTION: "REMOVED_FROM_COLLECTION",
+};
+
+function getDemotion({ action, appliedStatus }) {
+  if (action === "STATUS_CHANGED") return appliedStatus === "ARCHIVED" ? "ARCHIVED" : "DRAFTED";
+  return DEMOTION_BY_SNAPSHOT[action] ?? action;
+}
+
+function getSyncPercent(syncRun) {
+  if (syncRun.status === "COMPLETED") return 100;
+  if (!syncRun.total) return 0;
+  return Math.min(100, Math.round((syncRun.processed / syncRun.total) * 100));
+}
+
+function formatSyncStatus(syncRun) {
+  const started = new Date(syncRun.startedAt).toLocaleString();
+  if (syncRun.status === "RUNNING") return `Started ${started}`;
+  const finished = syncRun.finishedAt ? new Date(syncRun.finishedAt).toLocaleString() : started;
+  return syncRun.status === "FAILED" ? `Failed ${finished}` : `Completed ${finished}`;
 }
@@ -48,6 +48,7 @@ export default function Activity() {
                   <th>Product</th>
                   <th>Action</th>
                   <th>Detail</th>
+                  <th>Rule</th>
                   <th>Time</th>
                 </tr>
               </thead>
@@ -61,6 +62,7 @@ export default function Activity() {
                       </span>
                     </td>
                     <td>{log.detail}</td>
+                    <td>{log.rule || "—"}</td>
                     <td>{new Date(log.createdAt).toLocaleString()}</td>
                   </tr>
                 ))}
@@ -95,9 +97,18 @@ function formatAction(action) {
   const labels = {
     DEPRIORITIZED: "Deprioritized",
     HIDDEN: "Hidden",
+    MARKED: "Marked",
+    DRAFTED: "Set to Draft",
+    DRIFT_ADOPTED: "Kept Manual Change",
+    DRIFT_REAPPLIED: "Re-applied",
+    ARCHIVED: "Archived",
+    REMOVED_FROM_COLLECTION: "Removed from Collection",
     RESTORED_POSITION: "Restored Position",
+    RESTORED_STATUS: "Restored Status",
+    RESTORED_TO_COLLECTION: "Restored to Collection",
     RESTORED_VISIBILITY: "Restored Visibility",
     SKIPPED: "Skipped",
+    UNMARKED: "Unmarked",
   };
   return labels[action] || action;
 }
@@ -16,6 +16,7 @@ export default function App() {
       <s-app-nav>
         <s-link href="/app">Dashboard</s-link>
         <s-link href="/app/settings">Settings</s-link>
+        <s-link href="/app/overrides">Overrides</s-link>
         <s-link href="/app/activity">Activity</s-link>
       </s-app-nav>
       <Outlet />
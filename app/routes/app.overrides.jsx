@@ -0,0 +1,184 @@
+import { useLoaderData, useActionData, Form, useNavigation } from "react-router";
+import { useState } from "react";
+import { authenticate } from "../shopify.server";
+import {
+  getOrCreateShop,
+  upsertProductOverride,
+  deleteProductOverride,
+  validateProductOverride,
+} from "../services/settings.server";
+import { enqueueJob } from "../services/job-queue.server";
+import { wakeJobWorker } from "../services/scheduler.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const shop = await getOrCreateShop(session.shop);
+
+  return { overrides: shop.productOverrides };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const shop = await getOrCreateShop(session.shop);
+  const productId = formData.get("productId");
+
+  if (!productId) {
+    return { error: "Select a product" };
+  }
+
+  if (intent === "saveOverride") {
+    const behavior = formData.get("behavior");
+    const error = validateProductOverride({ behavior });
+    if (error) return { error };
+
+    await upsertProductOverride(shop.id, productId, {
+      productTitle: formData.get("productTitle") || null,
+      behavior,
+    });
+  } else if (intent === "deleteOverride") {
+    await deleteProductOverride(shop.id, productId);
+  } else {
+    return null;
+  }
+
+  // Apply the change now instead of waiting for the next inventory update
+  await enqueueJob(shop.id, "EVALUATE_PRODUCT", productId);
+  wakeJobWorker();
+
+  return {
+    success: true,
+    message: intent === "saveOverride" ? "Override saved" : "Override removed",
+  };
+};
+
+export default function Overrides() {
+  const { overrides } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const isSubmitting = navigation.state === "submitting";
+
+  const [productId, setProductId] = useState("");
+  const [productTitle, setProductTitle] = useState("");
+
+  async function openProductPicker() {
+    try {
+      const selected = await shopify.resourcePicker({
+        type: "product",
+        multiple: false,
+      });
+      if (selected && selected.length > 0) {
+        setProductId(selected[0].id);
+        setProductTitle(selected[0].title);
+      }
+    } catch (e) {
+      console.error("Resource picker error:", e);
+    }
+  }
+
+  return (
+    <s-page title="Product Overrides">
+      {actionData?.success && (
+        <s-banner tone="success" dismissible>
+          {actionData.message}
+        </s-banner>
+      )}
+      {actionData?.error && (
+        <s-banner tone="critical" dismissible>
+          {actionData.error}
+        </s-banner>
+      )}
+
+      <s-card>
+        <s-box padding="400">
+          <h2 className="dp-section-header">Product Overrides</h2>
+          <p className="dp-helper-text">
+            Overrides are checked before any rule. Use them for gift cards, evergreen hero items or pre-order launches.
+            They can also be set from a PIM with the <code>tidyshelf.behavior</code> product metafield
+            (<code>never_touch</code>, <code>always_hide</code> or <code>pin</code>); an override set here wins over the metafield.
+          </p>
+
+          {overrides.length > 0 ? (
+            <table className="dp-table">
+              <thead>
+                <tr>
+                  <th>Product</th>
+                  <th>Override</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {overrides.map((override) => (
+                  <tr key={override.id}>
+                    <td>{override.productTitle || override.productId}</td>
+                    <td>
+                      <span className={`dp-badge dp-badge--${override.behavior.toLowerCase()}`}>
+                        {formatOverride(override.behavior)}
+                      </span>
+                    </td>
+                    <td>
+                      <Form method="post" style={{ display: "inline" }}>
+                        <input type="hidden" name="intent" value="deleteOverride" />
+                        <input type="hidden" name="productId" value={override.productId} />
+                        <s-button variant="plain" tone="critical" type="submit">Remove</s-button>
+                      </Form>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p className="dp-helper-text" style={{ marginTop: 12 }}>No product overrides yet.</p>
+          )}
+
+          <div className="dp-add-rule-form">
+            <h3 className="dp-subsection-header">Add Override</h3>
+            <Form method="post">
+              <input type="hidden" name="intent" value="saveOverride" />
+              <input type="hidden" name="productId" value={productId} />
+              <input type="hidden" name="productTitle" value={productTitle} />
+              <div className="dp-field-stack">
+                <div>
+                  <label className="dp-field-label">Product</label>
+                  <div className="dp-picker-row">
+                    <s-button type="button" onClick={openProductPicker}>
+                      {productTitle || "Select a product"}
+                    </s-button>
+                  </div>
+                </div>
+                <div>
+                  <label className="dp-field-label">Override</label>
+                  <select name="behavior" defaultValue="NEVER_TOUCH" className="dp-select">
+                    <option value="NEVER_TOUCH">Never touch</option>
+                    <option value="PIN">Pin in place</option>
+                    <option value="ALWAYS_HIDE">Always hide</option>
+                  </select>
+                  <p className="dp-helper-text">
+                    <strong>Never touch:</strong> never moved, removed or hidden, even at zero stock. Anything already done to it is undone.
+                    <br />
+                    <strong>Pin in place:</strong> never pushed down or removed from a collection. Hide rules still apply.
+                    <br />
+                    <strong>Always hide:</strong> kept unpublished whatever its stock.
+                  </p>
+                </div>
+                <s-button variant="primary" type="submit" disabled={!productId || isSubmitting || undefined}>
+                  Save Override
+                </s-button>
+              </div>
+            </Form>
+          </div>
+        </s-box>
+      </s-card>
+    </s-page>
+  );
+}
+
+function formatOverride(behavior) {
+  const labels = {
+    NEVER_TOUCH: "Never Touch",
+    PIN: "Pinned",
+    ALWAYS_HIDE: "Always Hide",
+  };
+  return labels[behavior] || behavior;
+}
@@ -1,13 +1,59 @@
-import { useLoaderData, useActionData, Form, useNavigation } from "react-router";
-import { useState } from "react";
+import { useLoaderData, useActionData, Form, useNavigation, useSubmit } from "react-router";
+import { useEffect, useState } from "react";
 import { authenticate } from "../shopify.server";
-import { getOrCreateShop, updateSettings, upsertCollectionRule, deleteCollectionRule } from "../services/settings.server";
+import {
+  getOrCreateShop,
+  updateSettings,
+  upsertCollectionRule,
+  deleteCollectionRule,
+  createProductRule,
+  deleteProductRule,
+  describeEscalation,
+  describeProductRule,
+  describeRule,
+  getOrderedRules,
+  isCompleteRuleOrder,
+  validateCollectionRule,
+  validateProductRule,
+  reorderRules,
+  getStockLocationIds,
+  getHidePublicationIds,
+  normalizeEscalation,
+  parseEscalation,
+} from "../services/settings.server";
+import { createAdminClient } from "../services/graphql-client.server";
+import { getShopLocations } from "../services/inventory.server";
+import { getShopPublications } from "../services/product-visibility.server";
 
 export const loader = async ({ request }) => {
-  const { session } = await authenticate.admin(request);
+  const { session, admin } = await authenticate.admin(request);
   const shop = await getOrCreateShop(session.shop);
+  const client = createAdminClient(admin, session.shop);
+  const [locations, publications] = await Promise.all([
+    getShopLocations(client),
+    getShopPublications(client),
+  ]);
 
-  return { shop };
+  return {
+    shop,
+    locations,
+    publications,
+    stockLocationIds: getStockLocationIds(shop),
+    hidePublicationIds: getHidePublicationIds(shop, null),
+    escalationSteps: parseEscalation(shop.escalation),
+    collectionRules: shop.collectionRules.map((rule) => ({ ...rule, escalationLabel: describeEscalation(rule.escalation) })),
+    productRules: shop.productRules.map((rule) => ({
+      ...rule,
+      condition: describeProductRule(rule),
+      escalationLabel: describeEscalation(rule.escalation),
+    })),
+    orderedRules: getOrderedRules(shop).map((entry) => ({
+      type: entry.type,
+      id: entry.rule.id,
+      label: describeRule(entry),
+      behavior: entry.rule.behavior,
+    })),
+  };
 };
 
 export const action = async ({ request }) => {
@@ -21,6 +67,26 @@ export const action = async ({ request }) => {
       enabled: formData.get("enabled") === "true",
       defaultBehavior: formData.get("defaultBehavior"),
       applyToAll: formData.get("applyToAll") === "true",
+      placement: formData.get("placement"),
+      // Only in the form for OFFSET placement, so keep it while another is picked
+      placementOffset: formData.has("placementOffset")
+        ? parseCount(formData.get("placementOffset"), 1) ?? 0
+        : shop.placementOffset,
+      soldOutOrder: formData.get("soldOutOrder"),
+      lowStockThreshold: parseCount(formData.get("lowStockThreshold"), 1) ?? 1,
+      lowStockMode: formData.get("lowStockMode"),
+      restockBuffer: parseCount(formData.get("restockBuffer"), 0) ?? 0,
+      soldOutPercent: parsePercent(formData.get("soldOutPercent")),
+      coreOptionValues: formData.get("coreOptionValues")?.trim() || null,
+      stockLocationIds: parseSelectedIds(formData, "stockLocationIds", "locationCount"),
+      hidePublicationIds: parseSelectedIds(formData, "hidePublicationIds", "publicationCount"),
+      oversellInStock: formData.get("oversellInStock") === "true",
+      gracePeriodMinutes: parseCount(formData.get("gracePeriodMinutes"), 0) ?? 0,
+      syncSchedule: formData.get("syncSchedule"),
+      conflictPolicy: formData.get("conflictPolicy"),
+      escalation: normalizeEscalation(formData.get("escalation")),
+      markTag: formData.get("markTag")?.trim() || null,
+      markMetafield: formData.get("markMetafield") === "true",
     });
     return { success: true, message: "Settings saved" };
   }
@@ -30,13 +96,21 @@ export const action = async ({ request }) => {
     const collectionTitle = formData.get("collectionTitle");
     const behavior = formData.get("behavior");
 
-    if (!collectionId || !behavior) {
-      return { error: "Collection and behavior are required" };
-    }
+    const error = validateCollectionRule({ collectionId, behavior });
+    if (error) return { error };
 
     await upsertCollectionRule(shop.id, collectionId, {
       collectionTitle: collectionTitle || "Unknown",
       behavior,
+      placement: formData.get("placement") || null,
+      placementOffset: parseCount(formData.get("placementOffset"), 1),
+      soldOutOrder: formData.get("soldOutOrder") || null,
+      lowStockThreshold: parseCount(formData.get("lowStockThreshold"), 1),
+      soldOutPercent: parsePercent(formData.get("soldOutPercent")),
+      coreOptionValues: formData.get("coreOptionValues")?.trim() || null,
+      // None selected means "use the default channels"
+      hidePublicationIds: formData.getAll("hidePublicationIds").join(",") || null,
+      escalation: normalizeEscalation(formData.get("escalation")),
     });
     return { success: true, message: "Collection rule added" };
   }
@@ -47,11 +121,59 @@ export const action = async ({ request }) => {
     return { success: true, message: "Collection rule removed" };
   }
 
+  if (intent === "addProductRule") {
+    const field = formData.get("field");
+    const value = formData.get("value")?.trim() || null;
+    const minPrice = parsePrice(formData.get("minPrice"));
+    const maxPrice = parsePrice(formData.get("maxPrice"));
+    const behavior = formData.get("behavior");
+
+    const error = validateProductRule({ field, value, minPrice, maxPrice, behavior });
+    if (error) {
+      return { error };
+    }
+
+    await createProductRule(shop.id, {
+      field,
+      value: field === "PRICE" ? null : value,
+      minPrice: field === "PRICE" ? minPrice : null,
+      maxPrice: field === "PRICE" ? maxPrice : null,
+      behavior,
+      escalation: normalizeEscalation(formData.get("escalation")),
+    });
+    return { success: true, message: "Product rule added" };
+  }
+
+  if (intent === "reorderRules") {
+    const order = parseJson(formData.get("order"));
+    if (!isCompleteRuleOrder(shop, order)) {
+      return { error: "Rules changed while you were reordering them. Reload the page and try again." };
+    }
+
+    await reorderRules(shop.id, order);
+    return { success: true, message: "Rule order saved" };
+  }
+
+  if (intent === "deleteProductRule") {
+    await deleteProductRule(shop.id, formData.get("ruleId"));
+    return { success: true, message: "Product rule removed" };
+  }
+
   return null;
 };
 
 export default function Settings() {
-  const { shop } = useLoaderData();
+  const {
+    shop,
+    locations,
+    publications,
+    stockLocationIds,
+    hidePublicationIds,
+    escalationSteps,
+    collectionRules,
+    productRules,
+    orderedRules,
+  } = useLoaderData();
   const actionData = useActionData();
   const navigation = useNavigation();
   const isSubmitting = navigation.state === "submitting";
@@ -59,13 +181,40 @@ export default function Settings() {
   const [enabled, setEnabled] = useState(shop.enabled);
   const [defaultBehavior, setDefaultBehavior] = useState(shop.defaultBehavior);
   const [applyToAll, setApplyToAll] = useState(shop.applyToAll);
+  const [placement, setPlacement] = useState(shop.placement);
 
   // Collection picker state
   const [newCollectionId, setNewCollectionId] = useState("");
   const [newCollectionTitle, setNewCollectionTitle] = useState("");
   const [newBehavior, setNewBehavior] = useState("PUSH_TO_END");
+  const [newPlacement, setNewPlacement] = useState("");
   const [pickerOpen, setPickerOpen] = useState(false);
 
+  const [newRuleField, setNewRuleField] = useState("TAG");
+
+  // Rule order being dragged; reset whenever the saved order changes
+  const submit = useSubmit();
+  const [ruleOrder, setRuleOrder] = useState(orderedRules);
+  const [dragIndex, setDragIndex] = useState(null);
+  useEffect(() => setRuleOrder(orderedRules), [orderedRules]);
+
+  function moveRule(toIndex) {
+    if (dragIndex === null || dragIndex === toIndex) return;
+    const next = [...ruleOrder];
+    const [moved] = next.splice(dragIndex, 1);
+    next.splice(toIndex, 0, moved);
+    setRuleOrder(next);
+    setDragIndex(toIndex);
+  }
+
+  function saveRuleOrder() {
+    setDragIndex(null);
+    submit(
+      { intent: "reorderRules", order: JSON.stringify(ruleOrder.map(({ type, id }) => ({ type, id }))) },
+      { method: "post" },
+    );
+  }
+
   async function openCollectionPicker() {
     try {
       const selected = await shopify.resourcePicker({
@@ -125,11 +274,192 @@ export default function Settings() {
                 >
                   <option value="PUSH_TO_END">Push to End of Collection</option>
                   <option value="HIDE">Hide from Storefront</option>
+                  <option value="REMOVE_FROM_COLLECTION">Remove from Collection</option>
+                  <option value="DRAFT">Set to Draft</option>
+                  <option value="ARCHIVE">Archive</option>
                 </select>
                 <p className="dp-helper-text">
-                  <strong>Push to End:</strong> Moves out-of-stock products to the last position in manually sorted collections.
+                  <strong>Push to End:</strong> Moves out-of-stock products to the last position in their collections. Automatically sorted collections are switched to manual sorting until the products are restocked.
                   <br />
                   <strong>Hide:</strong> Unpublishes out-of-stock products from all sales channels.
+                  <br />
+                  <strong>Remove from Collection:</strong> Takes out-of-stock products out of manual collections only, keeping them published and in their other collections. They are added back at their old position when restocked. Smart collections are left alone.
+                  <br />
+                  <strong>Draft / Archive:</strong> Changes the status of out-of-stock products, taking them off every sales channel and out of the storefront search. Their previous status is put back when restocked.
+                </p>
+              </div>
+
+              <div>
+                <label className="dp-field-label">Escalation</label>
+                <EscalationLadder defaultSteps={escalationSteps} />
+                <p className="dp-helper-text">
+                  Go further the longer a product stays out of stock, e.g. push it to the end now, hide it after 14 days and set it to draft after 90. Each step adds to the ones before, and restocking undoes them all. Collection and product rules can have their own steps.
+                </p>
+              </div>
+
+              <div>
+                <label className="dp-field-label">Push to End Placement</label>
+                <select
+                  name="placement"
+                  value={placement}
+                  onChange={(e) => setPlacement(e.target.value)}
+                  className="dp-select"
+                >
+                  <option value="END">End of collection</option>
+                  <option value="AFTER_IN_STOCK">Directly after the last in-stock product</option>
+                  <option value="OFFSET">A fixed number of positions down</option>
+                </select>
+                {placement === "OFFSET" && (
+                  <input
+                    type="number"
+                    name="placementOffset"
+                    min="1"
+                    defaultValue={shop.placementOffset || 10}
+                    className="dp-input"
+                  />
+                )}
+                <p className="dp-helper-text">Where out-of-stock products are moved to in their collections.</p>
+              </div>
+
+              <div>
+                <label className="dp-field-label">Sold-Out Product Order</label>
+                <select name="soldOutOrder" defaultValue={shop.soldOutOrder} className="dp-select">
+                  <option value="OLDEST_FIRST">Longest sold out first</option>
+                  <option value="NEWEST_FIRST">Most recently sold out first</option>
+                  <option value="ORIGINAL_POSITION">Original position</option>
+                </select>
+                <p className="dp-helper-text">How pushed products are ordered among themselves. Not used for a fixed number of positions down.</p>
+              </div>
+
+              <div>
+                <label className="dp-field-label">Low-Stock Threshold</label>
+                <input
+                  type="number"
+                  name="lowStockThreshold"
+                  min="1"
+                  defaultValue={shop.lowStockThreshold}
+                  className="dp-input"
+                />
+                <select name="lowStockMode" defaultValue={shop.lowStockMode} className="dp-select" style={{ marginTop: 8 }}>
+                  <option value="EACH_VARIANT">Every variant has fewer units than this</option>
+                  <option value="TOTAL">All variants together have fewer units than this</option>
+                </select>
+                <p className="dp-helper-text">Products are treated as out of stock below this many units. Use 1 to act only when a product is sold out.</p>
+              </div>
+
+              <div>
+                <label className="dp-field-label">Restock Buffer</label>
+                <input
+                  type="number"
+                  name="restockBuffer"
+                  min="0"
+                  defaultValue={shop.restockBuffer}
+                  className="dp-input"
+                />
+                <p className="dp-helper-text">
+                  Extra units above the threshold a product needs before it is restored, so stock hovering around the threshold doesn't move products back and forth.
+                </p>
+              </div>
+
+              <div>
+                <label className="dp-field-label">Scheduled Full Sync</label>
+                <select name="syncSchedule" defaultValue={shop.syncSchedule} className="dp-select">
+                  <option value="OFF">Off</option>
+                  <option value="HOURLY">Hourly</option>
+                  <option value="NIGHTLY">Nightly (03:00 UTC)</option>
+                </select>
+                <p className="dp-helper-text">
+                  Re-check every product in the background to catch inventory updates that were missed.
+                </p>
+              </div>
+
+              <div>
+                <label className="dp-field-label">Grace Period (minutes)</label>
+                <input
+                  type="number"
+                  name="gracePeriodMinutes"
+                  min="0"
+                  defaultValue={shop.gracePeriodMinutes}
+                  className="dp-input"
+                />
+                <p className="dp-helper-text">
+                  Wait this long before acting on a product that runs out of stock, so short dips during stock transfers are ignored. Use 0 to act right away.
+                </p>
+              </div>
+
+              <div>
+                <label className="dp-field-label">Oversellable Variants</label>
+                <select
+                  name="oversellInStock"
+                  defaultValue={shop.oversellInStock ? "true" : "false"}
+                  className="dp-select"
+                >
+                  <option value="true">Count as in stock</option>
+                  <option value="false">Count by quantity</option>
+                </select>
+                <p className="dp-helper-text">
+                  Variants set to continue selling when out of stock, or that don't track inventory, can still be bought at zero stock. Count them as in stock to leave pre-order and made-to-order products in place.
+                </p>
+              </div>
+
+              <div>
+                <label className="dp-field-label">Partial Availability</label>
+                <input
+                  type="number"
+                  name="soldOutPercent"
+                  min="1"
+                  max="100"
+                  placeholder="Off"
+                  defaultValue={shop.soldOutPercent ?? ""}
+                  className="dp-input"
+                />
+                <p className="dp-helper-text">Also treat a product as out of stock when at least this percentage of its variants is sold out.</p>
+                <input
+                  type="text"
+                  name="coreOptionValues"
+                  placeholder="e.g. M, L"
+                  defaultValue={shop.coreOptionValues ?? ""}
+                  className="dp-input"
+                />
+                <p className="dp-helper-text">Also treat a product as out of stock when every variant with one of these option values (such as core sizes) is sold out.</p>
+              </div>
+
+              <div>
+                <label className="dp-field-label">Stock Locations</label>
+                <input type="hidden" name="locationCount" value={locations.length} />
+                {locations.map((location) => (
+                  <label key={location.id} className="dp-checkbox-row">
+                    <input
+                      type="checkbox"
+                      name="stockLocationIds"
+                      value={location.id}
+                      defaultChecked={!stockLocationIds || stockLocationIds.includes(location.id)}
+                    />
+                    {location.name}
+                    {!location.isActive && <span className="dp-helper-text"> (inactive)</span>}
+                  </label>
+                ))}
+                <p className="dp-helper-text">
+                  Only stock at the selected locations counts toward "in stock". Leave all selected to count every location.
+                </p>
+              </div>
+
+              <div>
+                <label className="dp-field-label">Hide From Channels</label>
+                <input type="hidden" name="publicationCount" value={publications.length} />
+                {publications.map((publication) => (
+                  <label key={publication.id} className="dp-checkbox-row">
+                    <input
+                      type="checkbox"
+                      name="hidePublicationIds"
+                      value={publication.id}
+                      defaultChecked={!hidePublicationIds || hidePublicationIds.includes(publication.id)}
+                    />
+                    {publication.name}
+                  </label>
+                ))}
+                <p className="dp-helper-text">
+                  Hide only unpublishes from the selected sales channels, e.g. leave Point of Sale unselected so staff can still find the product. Leave all selected to hide from every channel.
                 </p>
               </div>
 
@@ -146,6 +476,47 @@ export default function Settings() {
                 </select>
               </div>
 
+              <div>
+                <label className="dp-field-label">When Collection Rules Conflict</label>
+                <select name="conflictPolicy" defaultValue={shop.conflictPolicy} className="dp-select">
+                  <option value="PER_COLLECTION">Per collection where possible</option>
+                  <option value="MOST_RESTRICTIVE">Most restrictive wins</option>
+                  <option value="LEAST_RESTRICTIVE">Least restrictive wins</option>
+                </select>
+                <p className="dp-helper-text">
+                  For products in several collections whose rules disagree.
+                  <br />
+                  <strong>Per collection:</strong> each collection follows its own rule. Hiding, drafting and archiving affect the whole product, so the strictest of them that any collection asks for is applied.
+                  <br />
+                  <strong>Most / least restrictive:</strong> every collection takes the strictest / mildest behavior among them (Archive, then Set to Draft, then Hide, then Remove from Collection, then Push to End, then Exclude).
+                </p>
+              </div>
+
+              <div>
+                <label className="dp-field-label">Mark Tag</label>
+                <input
+                  type="text"
+                  name="markTag"
+                  placeholder="e.g. tidyshelf-oos"
+                  defaultValue={shop.markTag ?? ""}
+                  className="dp-input"
+                />
+                <p className="dp-helper-text">
+                  Added to products while they are demoted, so your theme, email tool or saved searches can find them. Removed when they are restocked, unless the product already had the tag. Leave empty to not tag products.
+                </p>
+              </div>
+
+              <div>
+                <label className="dp-field-label">Out-of-Stock Metafield</label>
+                <select name="markMetafield" defaultValue={shop.markMetafield ? "true" : "false"} className="dp-select">
+                  <option value="false">Don't set</option>
+                  <option value="true">Set tidyshelf.out_of_stock_at</option>
+                </select>
+                <p className="dp-helper-text">
+                  Sets a date and time metafield to when the product was demoted. Removed (or set back to its previous value) when the product is restocked.
+                </p>
+              </div>
+
               <s-button variant="primary" type="submit" disabled={isSubmitting || undefined}>
                 {isSubmitting ? "Saving..." : "Save Settings"}
               </s-button>
@@ -160,17 +531,20 @@ export default function Settings() {
           <h2 className="dp-section-header">Collection Overrides</h2>
           <p className="dp-helper-text">Override the default behavior for specific collections.</p>
 
-          {shop.collectionRules?.length > 0 ? (
+          {collectionRules.length > 0 ? (
             <table className="dp-table">
               <thead>
                 <tr>
                   <th>Collection</th>
                   <th>Behavior</th>
+                  <th>Placement</th>
+                  <th>Threshold</th>
+                  <th>Escalation</th>
                   <th></th>
                 </tr>
               </thead>
               <tbody>
-                {shop.collectionRules.map((rule) => (
+                {collectionRules.map((rule) => (
                   <tr key={rule.id}>
                     <td>{rule.collectionTitle}</td>
                     <td>
@@ -178,6 +552,9 @@ export default function Settings() {
                         {formatBehavior(rule.behavior)}
                       </span>
                     </td>
+                    <td>{rule.behavior === "PUSH_TO_END" ? formatPlacement(rule) : "—"}</td>
+                    <td>{rule.lowStockThreshold ?? "Default"}</td>
+                    <td>{rule.escalationLabel ?? "—"}</td>
                     <td>
                       <Form method="post" style={{ display: "inline" }}>
                         <input type="hidden" name="intent" value="deleteCollectionRule" />
@@ -218,9 +595,87 @@ export default function Settings() {
                   >
                     <option value="PUSH_TO_END">Push to End</option>
                     <option value="HIDE">Hide</option>
+                    <option value="REMOVE_FROM_COLLECTION">Remove from collection</option>
+                    <option value="DRAFT">Set to draft</option>
+                    <option value="ARCHIVE">Archive</option>
                     <option value="EXCLUDE">Exclude (skip this collection)</option>
                   </select>
                 </div>
+                {newBehavior !== "EXCLUDE" && (
+                  <div>
+                    <label className="dp-field-label">Low-Stock Threshold</label>
+                    <input
+                      type="number"
+                      name="lowStockThreshold"
+                      min="1"
+                      placeholder={`Use default (${shop.lowStockThreshold})`}
+                      className="dp-input"
+                    />
+                    <label className="dp-field-label" style={{ marginTop: 12 }}>Partial Availability</label>
+                    <input
+                      type="number"
+                      name="soldOutPercent"
+                      min="1"
+                      max="100"
+                      placeholder="% of variants sold out (use default)"
+                      className="dp-input"
+                    />
+                    <input
+                      type="text"
+                      name="coreOptionValues"
+                      placeholder="Core option values, e.g. M, L (use default)"
+                      className="dp-input"
+                    />
+                  </div>
+                )}
+                {newBehavior !== "EXCLUDE" && (
+                  <div>
+                    <label className="dp-field-label">Escalation</label>
+                    <EscalationLadder />
+                  </div>
+                )}
+                {newBehavior === "HIDE" && (
+                  <div>
+                    <label className="dp-field-label">Hide From Channels</label>
+                    {publications.map((publication) => (
+                      <label key={publication.id} className="dp-checkbox-row">
+                        <input type="checkbox" name="hidePublicationIds" value={publication.id} />
+                        {publication.name}
+                      </label>
+                    ))}
+                    <p className="dp-helper-text">Leave all unselected to use the default channels.</p>
+                  </div>
+                )}
+                {newBehavior === "PUSH_TO_END" && (
+                  <>
+                    <div>
+                      <label className="dp-field-label">Placement</label>
+                      <select
+                        name="placement"
+                        value={newPlacement}
+                        onChange={(e) => setNewPlacement(e.target.value)}
+                        className="dp-select"
+                      >
+                        <option value="">Use default</option>
+                        <option value="END">End of collection</option>
+                        <option value="AFTER_IN_STOCK">Directly after the last in-stock product</option>
+                        <option value="OFFSET">A fixed number of positions down</option>
+                      </select>
+                      {newPlacement === "OFFSET" && (
+                        <input type="number" name="placementOffset" min="1" defaultValue={10} className="dp-input" />
+                      )}
+                    </div>
+                    <div>
+                      <label className="dp-field-label">Sold-Out Product Order</label>
+                      <select name="soldOutOrder" defaultValue="" className="dp-select">
+                        <option value="">Use default</option>
+                        <option value="OLDEST_FIRST">Longest sold out first</option>
+                        <option value="NEWEST_FIRST">Most recently sold out first</option>
+                        <option value="ORIGINAL_POSITION">Original position</option>
+                      </select>
+                    </div>
+                  </>
+                )}
                 <s-button variant="primary" type="submit" disabled={!newCollectionId || isSubmitting || undefined}>
                   Add Rule
                 </s-button>
@@ -229,15 +684,248 @@ export default function Settings() {
           </div>
         </s-box>
       </s-card>
+
+      {/* Rule Order */}
+      {ruleOrder.length > 1 && (
+        <s-card>
+          <s-box padding="400">
+            <h2 className="dp-section-header">Rule Order</h2>
+            <p className="dp-helper-text">
+              For each product and collection the first rule that applies wins. Drag rules to change the order.
+            </p>
+            <ol className="dp-rule-order">
+              {ruleOrder.map((entry, index) => (
+                <li
+                  key={`${entry.type}:${entry.id}`}
+                  draggable
+                  onDragStart={() => setDragIndex(index)}
+                  onDragOver={(e) => {
+                    e.preventDefault();
+                    moveRule(index);
+                  }}
+                  onDragEnd={saveRuleOrder}
+                  className={`dp-rule-order-item${dragIndex === index ? " dp-rule-order-item--dragging" : ""}`}
+                >
+                  <span className="dp-rule-order-handle" aria-hidden="true">⋮⋮</span>
+                  <span className="dp-rule-order-label">{entry.label}</span>
+                  <span className={`dp-badge dp-badge--${entry.behavior.toLowerCase()}`}>
+                    {formatBehavior(entry.behavior)}
+                  </span>
+                </li>
+              ))}
+            </ol>
+          </s-box>
+        </s-card>
+      )}
+
+      {/* Product Rules */}
+      <s-card>
+        <s-box padding="400">
+          <h2 className="dp-section-header">Product Rules</h2>
+          <p className="dp-helper-text">
+            Choose the behavior by product tag, vendor, product type or price, e.g. hide products tagged "clearance" and push everything else.
+            New rules go to the bottom of the rule order.
+          </p>
+
+          {productRules.length > 0 ? (
+            <table className="dp-table">
+              <thead>
+                <tr>
+                  <th>Condition</th>
+                  <th>Behavior</th>
+                  <th>Escalation</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {productRules.map((rule) => (
+                  <tr key={rule.id}>
+                    <td>{rule.condition}</td>
+                    <td>
+                      <span className={`dp-badge dp-badge--${rule.behavior.toLowerCase()}`}>
+                        {formatBehavior(rule.behavior)}
+                      </span>
+                    </td>
+                    <td>{rule.escalationLabel ?? "—"}</td>
+                    <td>
+                      <Form method="post" style={{ display: "inline" }}>
+                        <input type="hidden" name="intent" value="deleteProductRule" />
+                        <input type="hidden" name="ruleId" value={rule.id} />
+                        <s-button variant="plain" tone="critical" type="submit">Remove</s-button>
+                      </Form>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p className="dp-helper-text" style={{ marginTop: 12 }}>No product rules yet.</p>
+          )}
+
+          <div className="dp-add-rule-form">
+            <h3 className="dp-subsection-header">Add Product Rule</h3>
+            <Form method="post">
+              <input type="hidden" name="intent" value="addProductRule" />
+              <div className="dp-field-stack">
+                <div>
+                  <label className="dp-field-label">Match On</label>
+                  <select
+                    name="field"
+                    value={newRuleField}
+                    onChange={(e) => setNewRuleField(e.target.value)}
+                    className="dp-select"
+                  >
+                    <option value="TAG">Tag</option>
+                    <option value="VENDOR">Vendor</option>
+                    <option value="PRODUCT_TYPE">Product type</option>
+                    <option value="PRICE">Price range</option>
+                  </select>
+                </div>
+                {newRuleField === "PRICE" ? (
+                  <div>
+                    <label className="dp-field-label">Price Range</label>
+                    <input type="number" name="minPrice" min="0" step="0.01" placeholder="Minimum (optional)" className="dp-input" />
+                    <input type="number" name="maxPrice" min="0" step="0.01" placeholder="Maximum (optional)" className="dp-input" />
+                    <p className="dp-helper-text">Compared with the product's lowest variant price.</p>
+                  </div>
+                ) : (
+                  <div>
+                    <label className="dp-field-label">Value</label>
+                    <input
+                      type="text"
+                      name="value"
+                      placeholder={newRuleField === "TAG" ? "e.g. clearance" : ""}
+                      className="dp-input"
+                    />
+                  </div>
+                )}
+                <div>
+                  <label className="dp-field-label">Behavior</label>
+                  <select name="behavior" defaultValue="HIDE" className="dp-select">
+                    <option value="PUSH_TO_END">Push to End</option>
+                    <option value="HIDE">Hide</option>
+                    <option value="REMOVE_FROM_COLLECTION">Remove from collection</option>
+                    <option value="DRAFT">Set to draft</option>
+                    <option value="ARCHIVE">Archive</option>
+                    <option value="EXCLUDE">Exclude (never demote, e.g. a never-hide tag)</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="dp-field-label">Escalation</label>
+                  <EscalationLadder />
+                  <p className="dp-helper-text">Not used when the rule excludes products.</p>
+                </div>
+                <s-button variant="primary" type="submit" disabled={isSubmitting || undefined}>
+                  Add Rule
+                </s-button>
+              </div>
+            </Form>
+          </div>
+        </s-box>
+      </s-card>
     </s-page>
   );
 }
 
+/**
+ * Edit an escalation ladder as rows of "after N days, <behavior>". Submitted
+ * as one `escalation` field ("14:HIDE,90:DRAFT").
+ */
+function EscalationLadder({ defaultSteps = [] }) {
+  const [steps, setSteps] = useState(defaultSteps);
+
+  function updateStep(index, changes) {
+    setSteps(steps.map((step, i) => (i === index ? { ...step, ...changes } : step)));
+  }
+
+  return (
+    <div className="dp-escalation">
+      <input
+        type="hidden"
+        name="escalation"
+        value={steps.map((step) => `${step.afterDays}:${step.behavior}`).join(",")}
+      />
+      {steps.map((step, index) => (
+        <div key={index} className="dp-escalation-step">
+          <span>After</span>
+          <input
+            type="number"
+            min="1"
+            value={step.afterDays}
+            onChange={(e) => updateStep(index, { afterDays: e.target.value })}
+            className="dp-input dp-escalation-days"
+          />
+          <span>days</span>
+          <select
+            value={step.behavior}
+            onChange={(e) => updateStep(index, { behavior: e.target.value })}
+            className="dp-select"
+          >
+            <option value="HIDE">Hide</option>
+            <option value="DRAFT">Set to draft</option>
+            <option value="ARCHIVE">Archive</option>
+          </select>
+          <s-button variant="plain" tone="critical" type="button" onClick={() => setSteps(steps.filter((_, i) => i !== index))}>
+            Remove
+          </s-button>
+        </div>
+      ))}
+      <s-button type="button" onClick={() => setSteps([...steps, { afterDays: "", behavior: "HIDE" }])}>
+        Add Step
+      </s-button>
+    </div>
+  );
+}
+
 function formatBehavior(behavior) {
   const labels = {
     PUSH_TO_END: "Push to End",
     HIDE: "Hide",
+    REMOVE_FROM_COLLECTION: "Remove from Collection",
+    DRAFT: "Set to Draft",
+    ARCHIVE: "Archive",
     EXCLUDE: "Exclude",
   };
   return labels[behavior] || behavior;
 }
+
+function formatPlacement(rule) {
+  if (!rule.placement) return "Default";
+  if (rule.placement === "OFFSET") return `${rule.placementOffset} positions down`;
+  const labels = {
+    END: "End",
+    AFTER_IN_STOCK: "After in-stock",
+  };
+  return labels[rule.placement] || rule.placement;
+}
+
+// Every option selected means "all of them", including locations or channels added later
+function parseSelectedIds(formData, name, countName) {
+  const selected = formData.getAll(name);
+  const count = parseInt(formData.get(countName), 10);
+  if (selected.length === 0 || selected.length === count) return null;
+  return selected.join(",");
+}
+
+function parseJson(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+function parsePrice(value) {
+  const price = parseFloat(value);
+  return Number.isNaN(price) ? null : Math.max(price, 0);
+}
+
+function parsePercent(value) {
+  const percent = parseInt(value, 10);
+  return Number.isNaN(percent) ? null : Math.min(Math.max(percent, 1), 100);
+}
+
+function parseCount(value, min) {
+  const count = parseInt(value, 10);
+  return Number.isNaN(count) ? null : Math.max(count, min);
+}
@@ -0,0 +1,21 @@
+import { authenticate } from "../shopify.server";
+import { getOrCreateShop } from "../services/settings.server";
+import { getSyncPreviewReport } from "../services/sync-runs.server";
+import { formatAction } from "../utils/action-labels";
+import { toCsv } from "../utils/report-csv";
+
+// Download a finished sync preview as a CSV file
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const shop = await getOrCreateShop(session.shop);
+
+  const report = await getSyncPreviewReport(shop.id, params.runId);
+  if (!report) throw new Response("Sync preview not found", { status: 404 });
+
+  return new Response(toCsv(report, formatAction), {
+    headers: {
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": 'attachment; filename="tidyshelf-preview.csv"',
+    },
+  });
+};
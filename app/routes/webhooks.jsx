@@ -1,11 +1,8 @@
 import db from "../db.server";
 import { authenticate } from "../shopify.server";
-import { checkProductInventory } from "../services/inventory.server";
-import { getOrCreateShop } from "../services/settings.server";
-import { handleOutOfStock, handleBackInStock } from "../services/sync.server";
-
-// In-memory concurrency guard to skip duplicate events for the same inventory item
-const processingLock = new Map();
+import { enqueueJob } from "../services/job-queue.server";
+import { wakeJobWorker } from "../services/scheduler.server";
+import { getOrCreateShop, getStockLocationIds } from "../services/settings.server";
 
 export const action = async ({ request }) => {
   const { shop, topic, payload, admin } =
@@ -41,54 +38,33 @@ export const action = async ({ request }) => {
 };
 
 async function handleInventoryUpdate(shop, payload, admin) {
+  // No admin context means there is no session to run the job with
   if (!shop || !admin) return;
 
   const inventoryItemId = payload.inventory_item_id;
   if (!inventoryItemId) return;
 
-  // Concurrency guard
-  const lockKey = `${shop}:${inventoryItemId}`;
-  if (processingLock.has(lockKey)) {
-    console.log(`Skipping duplicate inventory update for ${lockKey}`);
-    return;
-  }
-
-  processingLock.set(lockKey, true);
-
   try {
     // Load shop settings
     const shopRecord = await getOrCreateShop(shop);
     if (!shopRecord.enabled) return;
 
-    // Check product inventory status
-    const inventoryResult = await checkProductInventory(admin, inventoryItemId);
-    if (!inventoryResult) return;
-
-    const { product, isFullyOutOfStock } = inventoryResult;
-
-    // Check for existing active snapshots
-    const activeSnapshots = await db.productSnapshot.findMany({
-      where: {
-        shopId: shopRecord.id,
-        productId: product.id,
-        status: "ACTIVE",
-      },
-    });
-
-    if (isFullyOutOfStock && activeSnapshots.length === 0) {
-      // Product just went out of stock - deprioritize
-      console.log(`Product ${product.title} is fully out of stock - deprioritizing`);
-      await handleOutOfStock(admin, shopRecord, product.id, product.title);
-    } else if (!isFullyOutOfStock && activeSnapshots.length > 0) {
-      // Product is back in stock - restore
-      console.log(`Product ${product.title} is back in stock - restoring`);
-      await handleBackInStock(admin, shopRecord, product.id, product.title);
+    // Ignore stock changes at locations that don't count toward "in stock"
+    const locationIds = getStockLocationIds(shopRecord);
+    if (locationIds && payload.location_id &&
+      !locationIds.includes(`gid://shopify/Location/${payload.location_id}`)) {
+      console.log(`Ignoring inventory update at uncounted location ${payload.location_id}`);
+      return;
+    }
+
+    // Evaluate the product in the background so Shopify gets its response right away
+    const queued = await enqueueJob(shopRecord.id, "INVENTORY_UPDATE", String(inventoryItemId));
+    if (!queued) {
+      console.log(`Inventory update for ${shop}:${inventoryItemId} already queued`);
     }
+    wakeJobWorker();
   } catch (error) {
-    console.error(`Error handling inventory update for ${shop}:`, error);
-  } finally {
-    // Release lock after a short delay to debounce rapid updates
-    setTimeout(() => processingLock.delete(lockKey), 5000);
+    console.error(`Error queueing inventory update for ${shop}:`, error);
   }
 }
 
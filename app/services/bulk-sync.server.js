@@ -0,0 +1,272 @@
+import { Readable } from "node:stream";
+import { createInterface } from "node:readline";
+import { summarizeProduct, summarizeStock } from "./inventory.server";
+
+// Catalogs with more products than this are synced with a bulk operation
+export const BULK_SYNC_PRODUCT_THRESHOLD = 2000;
+
+// Yield a checkpoint (see streamBulkProducts) every this many products
+const BULK_CHECKPOINT_SIZE = 250;
+const BULK_POLL_INTERVAL_MS = 2000;
+const BULK_POLL_TIMEOUT_MS = 30 * 60 * 1000;
+const LOCATION_ID_PATTERN = /^gid:\/\/shopify\/Location\/\d+$/;
+
+/**
+ * Count the shop's products. Catalogs with more than
+ * BULK_SYNC_PRODUCT_THRESHOLD products are synced with a bulk operation
+ * instead of page by page.
+ */
+export async function getProductCount(admin) {
+  const data = await admin.graphql(`
+    query getProductsCount {
+      productsCount(limit: null) {
+        count
+      }
+    }
+  `);
+
+  return data.data?.productsCount?.count ?? 0;
+}
+
+/**
+ * Fetch every product with its variants, inventory and collections in one
+ * bulk operation, and yield them one at a time as
+ * { product, stock, collections, checkpoint } while the result file is streamed.
+ *
+ * Every BULK_CHECKPOINT_SIZE products, `checkpoint` is the ID of the product
+ * yielded. Passing it back as `after` skips every product up to and including
+ * that one, to resume an interrupted sync.
+ *
+ * When `locationIds` is given, only stock at those locations counts.
+ */
+export async function* streamBulkProducts(admin, { locationIds, after } = {}) {
+  const url = await runBulkQuery(admin, `
+    {
+      products {
+        edges {
+          node {
+            id
+            title
+            status
+            totalInventory
+            tags
+            vendor
+            productType
+            priceRangeV2 {
+              minVariantPrice {
+                amount
+              }
+            }
+            metafield(namespace: "tidyshelf", key: "behavior") {
+              value
+            }
+            variants {
+              edges {
+                node {
+                  id
+                  inventoryQuantity
+                  inventoryPolicy
+                  inventoryItem {
+                    id
+                    tracked
+                  }
+                  selectedOptions {
+                    name
+                    value
+                  }
+                }
+              }
+            }
+            collections {
+              edges {
+                node {
+                  id
+                  title
+                  sortOrder
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `);
+
+  // No URL means the shop has no products
+  if (!url) return;
+
+  const quantities = locationIds?.length > 0
+    ? await fetchLocationQuantities(admin, locationIds)
+    : null;
+
+  // Products come out in ID order, so everything up to `after` was done before
+  const resumeAfter = after ? getNumericId(after) : 0;
+  let yielded = 0;
+
+  // Children are written right after their product, so a product is complete
+  // as soon as the next one starts
+  let current = null;
+
+  for await (const line of readJsonLines(url)) {
+    const id = line.id || "";
+
+    if (id.startsWith("gid://shopify/Product/")) {
+      if (current) yield toSyncEntry(current, quantities, ++yielded);
+      current = getNumericId(id) > resumeAfter
+        ? { product: line, variants: [], collections: [] }
+        : null;
+    } else if (current && line.__parentId === current.product.id) {
+      if (id.startsWith("gid://shopify/ProductVariant/")) {
+        current.variants.push(line);
+      } else if (id.startsWith("gid://shopify/Collection/")) {
+        current.collections.push({ id: line.id, title: line.title, sortOrder: line.sortOrder });
+      }
+    }
+  }
+
+  if (current) yield toSyncEntry(current, quantities, ++yielded);
+}
+
+/**
+ * Fetch the available quantity of every inventory item at the given locations
+ * with a second bulk operation. Returns a Map of inventory item ID to quantity,
+ * summed over those locations, as summarizeStock expects.
+ */
+async function fetchLocationQuantities(admin, locationIds) {
+  const quantities = new Map();
+
+  for (const locationId of locationIds) {
+    // Bulk queries take no variables, so the ID goes into the query text
+    if (!LOCATION_ID_PATTERN.test(locationId)) {
+      throw new Error(`Invalid stock location ID: ${locationId}`);
+    }
+
+    const url = await runBulkQuery(admin, `
+      {
+        location(id: ${JSON.stringify(locationId)}) {
+          inventoryLevels {
+            edges {
+              node {
+                item {
+                  id
+                }
+                quantities(names: ["available"]) {
+                  quantity
+                }
+              }
+            }
+          }
+        }
+      }
+    `);
+    if (!url) continue;
+
+    for await (const line of readJsonLines(url)) {
+      if (!line.item) continue;
+      const quantity = line.quantities?.[0]?.quantity ?? 0;
+      quantities.set(line.item.id, (quantities.get(line.item.id) ?? 0) + quantity);
+    }
+  }
+
+  return quantities;
+}
+
+function toSyncEntry({ product, variants, collections }, quantities, position) {
+  return {
+    product: summarizeProduct(product),
+    stock: summarizeStock(variants, quantities),
+    collections,
+    checkpoint: position % BULK_CHECKPOINT_SIZE === 0 ? product.id : undefined,
+  };
+}
+
+function getNumericId(gid) {
+  return Number(gid.split("/").pop());
+}
+
+/**
+ * Start a bulk query and wait for it to finish.
+ * Returns the URL of the JSONL result, or null when there are no results.
+ */
+async function runBulkQuery(admin, query) {
+  const data = await admin.graphql(`
+    mutation runBulkQuery($query: String!) {
+      bulkOperationRunQuery(query: $query) {
+        bulkOperation {
+          id
+          status
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `, {
+    variables: { query },
+  });
+
+  const result = data.data?.bulkOperationRunQuery;
+
+  if (!result?.bulkOperation) {
+    const message = result?.userErrors?.map((e) => e.message).join(", ") || "Unknown error";
+    throw new Error(`Bulk operation could not start: ${message}`);
+  }
+
+  return waitForBulkOperation(admin, result.bulkOperation.id);
+}
+
+/**
+ * Poll a bulk operation until it completes. Throws if it fails or takes too long.
+ */
+async function waitForBulkOperation(admin, operationId) {
+  const deadline = Date.now() + BULK_POLL_TIMEOUT_MS;
+
+  while (Date.now() < deadline) {
+    const data = await admin.graphql(`
+      query getBulkOperation($id: ID!) {
+        node(id: $id) {
+          ... on BulkOperation {
+            id
+            status
+            errorCode
+            url
+          }
+        }
+      }
+    `, {
+      variables: { id: operationId },
+    });
+
+    const operation = data.data?.node;
+
+    if (operation?.status === "COMPLETED") return operation.url;
+    if (["FAILED", "CANCELED", "EXPIRED"].includes(operation?.status)) {
+      throw new Error(`Bulk operation ${operation.status.toLowerCase()}: ${operation.errorCode || "no error code"}`);
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, BULK_POLL_INTERVAL_MS));
+  }
+
+  throw new Error("Bulk operation timed out");
+}
+
+/**
+ * Download a JSONL file and yield one parsed object per line, without holding
+ * the whole file in memory.
+ */
+async function* readJsonLines(url) {
+  const response = await fetch(url);
+  if (!response.ok || !response.body) {
+    throw new Error(`Could not download bulk operation result: ${response.status}`);
+  }
+
+  const lines = createInterface({
+    input: Readable.fromWeb(response.body),
+    crlfDelay: Infinity,
+  });
+
+  for await (const line of lines) {
+    if (line.trim()) yield JSON.parse(line);
+  }
+}
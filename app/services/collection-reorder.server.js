@@ -1,83 +1,456 @@
 import db from "../db.server";
 
+// collectionReorderProducts accepts at most 250 moves per call
+const MAX_MOVES_PER_JOB = 250;
+const JOB_POLL_INTERVAL_MS = 1000;
+const JOB_POLL_ATTEMPTS = 30;
+
+const DEFAULT_PLACEMENT = { placement: "END", placementOffset: 0, soldOutOrder: "OLDEST_FIRST" };
+
 /**
- * Push a product to the end of a collection (manual sort order only).
+ * Push a product to the end of a collection.
+ * Collections that aren't manually sorted are switched to MANUAL first, and the
+ * original sort order is saved on the snapshot so it can be put back later.
  * Saves a snapshot of the original position for later restoration.
+ *
+ * `placement` is the resolved { placement, placementOffset, soldOutOrder } for
+ * the collection (see getEffectivePlacement). Defaults to the absolute end.
+ * `isInStock` is passed on to pushProductsToEnd.
  */
-export async function pushProductToEnd(admin, shopId, productId, collectionId) {
-  // Get products in the collection to find current position
-  const response = await admin.graphql(`
-    query getCollectionProducts($collectionId: ID!) {
-      collection(id: $collectionId) {
-        id
-        sortOrder
-        products(first: 250, sortKey: COLLECTION_DEFAULT) {
-          nodes {
-            id
-          }
-        }
-      }
-    }
-  `, {
-    variables: { collectionId },
-  });
+export async function pushProductToEnd(admin, shopId, productId, collectionId, placement, { isInStock } = {}) {
+  const [result] = await pushProductsToEnd(admin, shopId, [productId], collectionId, placement, { isInStock });
+  return result;
+}
 
-  const data = await response.json();
-  const collection = data.data?.collection;
+/**
+ * Push several products down one collection with a single reorder job.
+ * Snapshots are saved before the job starts and dropped again if Shopify
+ * rejects it. A job still running when polling gives up may yet finish, so
+ * its products are reported as `pending` and keep their snapshots.
+ *
+ * Placement:
+ * - END: the sold-out block (every pushed product) goes to the end of the collection
+ * - AFTER_IN_STOCK: the sold-out block goes directly after the last in-stock
+ *   product, where `isInStock(productId)` decides what is in stock
+ * - OFFSET: each product moves `placementOffset` positions down from where it is
+ *
+ * The sold-out block is sorted by `soldOutOrder`: OLDEST_FIRST, NEWEST_FIRST
+ * or ORIGINAL_POSITION.
+ *
+ * Returns one result per product, in the order given.
+ */
+export async function pushProductsToEnd(admin, shopId, productIds, collectionId, placement = DEFAULT_PLACEMENT, { isInStock } = {}) {
+  const failAll = (reason) =>
+    productIds.map((productId) => ({ productId, success: false, reason }));
+
+  // Get products in the collection to find current positions
+  let collection = await getCollectionProducts(admin, collectionId);
 
   if (!collection) {
-    return { success: false, reason: "Collection not found" };
+    return failAll("Collection not found");
+  }
+
+  if (!productIds.some((id) => collection.products.some((p) => p.id === id))) {
+    return failAll("Product not in collection");
   }
 
-  // Only reorder if collection uses MANUAL sort order
+  // Products whose manual placement was adopted aren't part of the sold-out block
+  const activePushes = await db.productSnapshot.findMany({
+    where: { shopId, collectionId, action: "PUSHED_TO_END", status: "ACTIVE", adoptedAt: null },
+  });
+
+  let originalSortOrder = null;
+  let switchedSortOrder = false;
+
   if (collection.sortOrder !== "MANUAL") {
-    return {
-      success: false,
-      reason: `Collection uses ${collection.sortOrder} sort order (not MANUAL)`,
-      skipped: true,
-    };
+    // Reordering requires MANUAL sort order, so switch it and re-read the frozen order
+    const switchResult = await updateCollectionSortOrder(admin, collectionId, "MANUAL");
+
+    if (!switchResult.success) {
+      return failAll(
+        `Failed to switch ${collection.sortOrder} collection to MANUAL: ${switchResult.errors.map((e) => e.message).join(", ")}`,
+      );
+    }
+
+    originalSortOrder = collection.sortOrder;
+    switchedSortOrder = true;
+
+    // Products pushed before the merchant picked this sort order (e.g. when
+    // re-applying a push) go back to it too, not to the one before it
+    await db.productSnapshot.updateMany({
+      where: { shopId, collectionId, action: "PUSHED_TO_END", status: "ACTIVE" },
+      data: { originalSortOrder },
+    });
+
+    collection = await getCollectionProducts(admin, collectionId);
+    if (!collection) {
+      await revertSortOrder(admin, collectionId, originalSortOrder);
+      return failAll("Collection not found");
+    }
+  } else {
+    // The collection may only be MANUAL because an earlier push switched it,
+    // including one whose manual placement was adopted since
+    const switchedBy = await db.productSnapshot.findFirst({
+      where: { shopId, collectionId, action: "PUSHED_TO_END", status: "ACTIVE", originalSortOrder: { not: null } },
+      select: { originalSortOrder: true },
+    });
+    originalSortOrder = switchedBy?.originalSortOrder ?? null;
   }
 
-  const products = collection.products?.nodes || [];
-  const currentIndex = products.findIndex((p) => p.id === productId);
+  const products = collection.products;
+  const indexById = new Map(products.map((p, index) => [p.id, index]));
+  const now = new Date();
 
-  if (currentIndex === -1) {
-    return { success: false, reason: "Product not in collection" };
+  // The sold-out block: products pushed earlier plus the ones pushed now
+  const block = new Map();
+  for (const snapshot of activePushes) {
+    if (!indexById.has(snapshot.productId)) continue;
+    block.set(snapshot.productId, {
+      id: snapshot.productId,
+      index: indexById.get(snapshot.productId),
+      originalPosition: snapshot.originalPosition ?? indexById.get(snapshot.productId),
+      soldOutAt: snapshot.createdAt,
+      isNew: false,
+    });
+  }
+
+  // Products to push, in their current display order
+  const toPush = productIds
+    .filter((id) => indexById.has(id))
+    .map((id) => ({ id, index: indexById.get(id) }))
+    .sort((a, b) => a.index - b.index);
+
+  for (const p of toPush) {
+    if (block.has(p.id)) continue;
+    block.set(p.id, { id: p.id, index: p.index, originalPosition: p.index, soldOutAt: now, isNew: true });
   }
 
-  // Already at the end
-  if (currentIndex === products.length - 1) {
-    return { success: true, reason: "Product already at end" };
+  const finalOrder = planFinalOrder(products, [...block.values()], placement, isInStock);
+  const moves = planMoves(products.map((p) => p.id), finalOrder);
+
+  // If we just switched the sort order we need a snapshot even for products
+  // already in place, otherwise nothing would ever switch the collection back.
+  if (moves.length === 0 && !switchedSortOrder) {
+    return productIds.map((productId) =>
+      indexById.has(productId)
+        ? { productId, success: true, reason: "Product already in place" }
+        : { productId, success: false, reason: "Product not in collection" },
+    );
   }
 
-  // Save snapshot of original position
-  await db.productSnapshot.upsert({
+  // Products that already have a snapshot keep it, with their first position
+  const existing = await db.productSnapshot.findMany({
     where: {
-      shopId_productId_collectionId_action_status: {
+      shopId,
+      collectionId,
+      productId: { in: toPush.map((p) => p.id) },
+      action: "PUSHED_TO_END",
+      status: "ACTIVE",
+    },
+    select: { productId: true },
+  });
+  const existingIds = new Set(existing.map((s) => s.productId));
+
+  // Neighbours are the closest products that stay in place, so skip anything
+  // in the sold-out block
+  const pushedIds = new Set(block.keys());
+  const createdIds = [];
+
+  // The closest product that stays in place above each pushed one, so
+  // findCollectionDrift can tell when a pushed product was dragged back up
+  const placedBelow = new Map();
+  let anchorId = null;
+  for (const id of finalOrder) {
+    if (pushedIds.has(id)) placedBelow.set(id, anchorId);
+    else anchorId = id;
+  }
+
+  for (const p of toPush) {
+    if (existingIds.has(p.id)) continue;
+    const { previousProductId, nextProductId } = findNeighbours(products, p.index, pushedIds);
+
+    // Save snapshot of original position and neighbours
+    const snapshot = await db.productSnapshot.create({
+      data: {
         shopId,
-        productId,
+        productId: p.id,
         collectionId,
+        originalPosition: p.index,
+        originalSortOrder,
+        previousProductId,
+        nextProductId,
+        placedBelowProductId: placedBelow.get(p.id),
         action: "PUSHED_TO_END",
         status: "ACTIVE",
       },
-    },
-    create: {
+    });
+    createdIds.push(snapshot.id);
+  }
+
+  let pending = false;
+  if (moves.length > 0) {
+    const reorderResult = await reorderCollection(admin, collectionId, moves);
+
+    if (reorderResult.timedOut) {
+      pending = true;
+    } else if (!reorderResult.success) {
+      // Nothing was pushed, so nothing would ever switch the collection back
+      await db.productSnapshot.deleteMany({ where: { id: { in: createdIds } } });
+      if (switchedSortOrder) await revertSortOrder(admin, collectionId, originalSortOrder);
+      return failAll(reorderResult.reason);
+    }
+  }
+
+  // Products pushed earlier may have moved within the block
+  for (const snapshot of activePushes) {
+    const placedBelowProductId = placedBelow.get(snapshot.productId);
+    if (placedBelowProductId === undefined || placedBelowProductId === snapshot.placedBelowProductId) continue;
+    await db.productSnapshot.update({ where: { id: snapshot.id }, data: { placedBelowProductId } });
+  }
+
+  return productIds.map((productId) =>
+    indexById.has(productId)
+      ? { productId, success: true, pending, placement, switchedFrom: switchedSortOrder ? originalSortOrder : null }
+      : { productId, success: false, reason: "Product not in collection" },
+  );
+}
+
+/**
+ * Restore a product to its original position in a collection.
+ * The product goes back just after the product that preceded it when it was
+ * pushed (or just before the one that followed it), falling back to the saved
+ * index only when neither neighbour is still in place.
+ * Once the last pushed product in the collection is restored, the collection's
+ * original sort order is put back if TidyShelf switched it to MANUAL.
+ * A product whose manual placement was adopted (see adoptDrift) stays where it is.
+ */
+export async function restoreProductPosition(admin, shopId, productId, collectionId) {
+  // Find the active snapshot
+  const snapshot = await db.productSnapshot.findFirst({
+    where: {
       shopId,
       productId,
       collectionId,
-      originalPosition: currentIndex,
       action: "PUSHED_TO_END",
       status: "ACTIVE",
     },
-    update: {},
   });
 
-  // Build moves array: move the product after the last product in the collection
-  const lastProductId = products[products.length - 1].id;
+  if (!snapshot) {
+    return { success: false, reason: "No active snapshot found" };
+  }
+
+  if (snapshot.adoptedAt) {
+    await markSnapshotRestored(snapshot);
+    // A sort order the merchant picked since is theirs to keep
+    const collection = await getCollectionProducts(admin, collectionId);
+    const sortOrderResult = collection?.sortOrder === "MANUAL"
+      ? await maybeRestoreCollectionSortOrder(admin, shopId, collectionId, snapshot)
+      : { restoredSortOrder: null };
+    return {
+      success: true,
+      reason: "Manual placement adopted, left in place",
+      restoredSortOrder: sortOrderResult.restoredSortOrder,
+    };
+  }
 
-  const moveResponse = await admin.graphql(`
-    mutation reorderProducts($collectionId: ID!, $moves: [MoveInput!]!) {
-      collectionReorderProducts(id: $collectionId, moves: $moves) {
+  // Get current collection products to validate
+  const collection = await getCollectionProducts(admin, collectionId);
+  const products = collection?.products || [];
+  const currentIndex = products.findIndex((p) => p.id === productId);
+
+  if (currentIndex === -1) {
+    // Product no longer in collection, just mark as restored
+    await markSnapshotRestored(snapshot);
+    const sortOrderResult = await maybeRestoreCollectionSortOrder(admin, shopId, collectionId, snapshot);
+    return {
+      success: true,
+      reason: "Product no longer in collection, snapshot cleared",
+      restoredSortOrder: sortOrderResult.restoredSortOrder,
+    };
+  }
+
+  const pushedIds = await getPushedProductIds(shopId, collectionId);
+  pushedIds.delete(productId);
+  const targetPosition = resolveRestorePosition(products, snapshot, pushedIds);
+
+  const reorderResult = await reorderCollection(admin, collectionId, [
+    { id: productId, newPosition: targetPosition.toString() },
+  ]);
+
+  if (!reorderResult.success) {
+    return { success: false, reason: reorderResult.reason };
+  }
+
+  await markSnapshotRestored(snapshot);
+  const sortOrderResult = await maybeRestoreCollectionSortOrder(admin, shopId, collectionId, snapshot);
+
+  return { success: true, restoredSortOrder: sortOrderResult.restoredSortOrder };
+}
+
+/**
+ * Build the desired order of a collection after a push.
+ * `block` holds every pushed product as { id, index, originalPosition, soldOutAt, isNew }.
+ * `isInStock` is only used, and needed, for AFTER_IN_STOCK placement.
+ */
+export function planFinalOrder(products, block, { placement, placementOffset, soldOutOrder }, isInStock) {
+  if (placement === "OFFSET") {
+    // Only the newly pushed products move, each N positions down from where it is
+    const moving = block
+      .filter((b) => b.isNew)
+      .map((b) => ({ id: b.id, target: b.index + Math.max(placementOffset ?? 0, 0) }))
+      .sort((a, b) => a.target - b.target);
+    const movingIds = new Set(moving.map((m) => m.id));
+
+    const order = products.map((p) => p.id).filter((id) => !movingIds.has(id));
+    for (const { id, target } of moving) {
+      order.splice(Math.min(target, order.length), 0, id);
+    }
+    return order;
+  }
+
+  const blockIds = new Set(block.map((b) => b.id));
+  const rest = products.filter((p) => !blockIds.has(p.id));
+  const sortedBlock = [...block].sort(compareSoldOut(soldOutOrder)).map((b) => b.id);
+
+  let insertAt = rest.length;
+  if (placement === "AFTER_IN_STOCK") {
+    insertAt = 0;
+    rest.forEach((p, index) => {
+      if (isInStock(p.id)) insertAt = index + 1;
+    });
+  }
+
+  return [
+    ...rest.slice(0, insertAt).map((p) => p.id),
+    ...sortedBlock,
+    ...rest.slice(insertAt).map((p) => p.id),
+  ];
+}
+
+function compareSoldOut(soldOutOrder) {
+  switch (soldOutOrder) {
+    case "NEWEST_FIRST":
+      return (a, b) => b.soldOutAt - a.soldOutAt || a.index - b.index;
+    case "ORIGINAL_POSITION":
+      return (a, b) => a.originalPosition - b.originalPosition || a.index - b.index;
+    default:
+      return (a, b) => a.soldOutAt - b.soldOutAt || a.index - b.index;
+  }
+}
+
+/**
+ * Turn a desired order into MoveInputs. Products on the longest run that is
+ * already in the right relative order stay put. The rest are first parked at
+ * the end in their final order, then dropped into their slots from the top down,
+ * which keeps every newPosition valid as the moves are applied one after another.
+ */
+export function planMoves(currentIds, finalIds) {
+  const finalIndex = new Map(finalIds.map((id, index) => [id, index]));
+  const kept = longestIncreasingSubsequence(currentIds.map((id) => finalIndex.get(id)));
+  const moved = finalIds.filter((_, index) => !kept.has(index));
+
+  const order = [...currentIds];
+  const moves = [];
+  const moveTo = (id, position) => {
+    order.splice(order.indexOf(id), 1);
+    order.splice(position, 0, id);
+    moves.push({ id, newPosition: position.toString() });
+  };
+
+  if (moved.length === 1) {
+    moveTo(moved[0], finalIndex.get(moved[0]));
+    return moves;
+  }
+
+  for (const id of moved) moveTo(id, order.length - 1);
+
+  for (let position = 0; position < finalIds.length; position++) {
+    if (order[position] !== finalIds[position]) moveTo(finalIds[position], position);
+  }
+
+  return moves;
+}
+
+/**
+ * Values on one longest strictly increasing subsequence of `values`.
+ */
+function longestIncreasingSubsequence(values) {
+  const tails = [];
+  const previous = new Array(values.length);
+
+  for (let i = 0; i < values.length; i++) {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (values[tails[mid]] < values[i]) low = mid + 1;
+      else high = mid;
+    }
+    previous[i] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = i;
+  }
+
+  const result = new Set();
+  for (let i = tails.length > 0 ? tails[tails.length - 1] : -1; i !== -1; i = previous[i]) {
+    result.add(values[i]);
+  }
+  return result;
+}
+
+/**
+ * Take a product out of a manual collection, leaving it published and in its
+ * other collections. Saves a snapshot of its position and neighbours first,
+ * so restoreProductToCollection can put it back where it was even if the
+ * remove job outlives the polling window (reported as `pending`). The
+ * snapshot is dropped again only if Shopify rejects the removal.
+ * Smart collections choose their products by rule, so they are skipped.
+ */
+export async function removeProductFromCollection(admin, shopId, productId, collectionId) {
+  const collection = await getCollectionProducts(admin, collectionId);
+
+  if (!collection) {
+    return { success: false, reason: "Collection not found" };
+  }
+
+  if (collection.isSmart) {
+    return { success: false, skipped: true, reason: "Smart collection, products can't be removed by hand" };
+  }
+
+  const index = collection.products.findIndex((p) => p.id === productId);
+  if (index === -1) {
+    return { success: false, reason: "Product not in collection" };
+  }
+
+  // A snapshot left by an earlier attempt keeps its position
+  const existing = await db.productSnapshot.findFirst({
+    where: { shopId, productId, collectionId, action: "REMOVED_FROM_COLLECTION", status: "ACTIVE" },
+  });
+
+  let snapshot = existing;
+  if (!snapshot) {
+    // Pushed-down products aren't in their original place, so they make poor neighbours
+    const pushedIds = await getPushedProductIds(shopId, collectionId);
+    const { previousProductId, nextProductId } = findNeighbours(collection.products, index, pushedIds);
+
+    snapshot = await db.productSnapshot.create({
+      data: {
+        shopId,
+        productId,
+        collectionId,
+        originalPosition: index,
+        originalSortOrder: collection.sortOrder,
+        previousProductId,
+        nextProductId,
+        action: "REMOVED_FROM_COLLECTION",
+        status: "ACTIVE",
+      },
+    });
+  }
+
+  const data = await admin.graphql(`
+    mutation removeProducts($id: ID!, $productIds: [ID!]!) {
+      collectionRemoveProducts(id: $id, productIds: $productIds) {
         job {
           id
           done
@@ -89,33 +462,32 @@ export async function pushProductToEnd(admin, shopId, productId, collectionId) {
       }
     }
   `, {
-    variables: {
-      collectionId,
-      moves: [{ id: productId, newPosition: (products.length - 1).toString() }],
-    },
+    variables: { id: collectionId, productIds: [productId] },
   });
 
-  const moveData = await moveResponse.json();
-  const userErrors = moveData.data?.collectionReorderProducts?.userErrors || [];
-
+  const userErrors = data.data?.collectionRemoveProducts?.userErrors || [];
   if (userErrors.length > 0) {
+    if (!existing) await db.productSnapshot.delete({ where: { id: snapshot.id } });
     return { success: false, reason: userErrors.map((e) => e.message).join(", ") };
   }
 
-  return { success: true };
+  const done = await waitForJob(admin, data.data?.collectionRemoveProducts?.job);
+  return { success: true, pending: !done };
 }
 
 /**
- * Restore a product to its original position in a collection.
+ * Add a product removed by removeProductFromCollection back to the collection.
+ * In a manually sorted collection it goes back next to its old neighbours, the
+ * same way restoreProductPosition does it. Nothing is changed when the
+ * merchant's manual change was adopted (see adoptDrift).
  */
-export async function restoreProductPosition(admin, shopId, productId, collectionId) {
-  // Find the active snapshot
+export async function restoreProductToCollection(admin, shopId, productId, collectionId) {
   const snapshot = await db.productSnapshot.findFirst({
     where: {
       shopId,
       productId,
       collectionId,
-      action: "PUSHED_TO_END",
+      action: "REMOVED_FROM_COLLECTION",
       status: "ACTIVE",
     },
   });
@@ -124,48 +496,235 @@ export async function restoreProductPosition(admin, shopId, productId, collectio
     return { success: false, reason: "No active snapshot found" };
   }
 
-  // Get current collection products to validate
-  const response = await admin.graphql(`
-    query getCollectionProducts($collectionId: ID!) {
-      collection(id: $collectionId) {
-        id
-        products(first: 250, sortKey: COLLECTION_DEFAULT) {
-          nodes {
+  if (snapshot.adoptedAt) {
+    await markSnapshotRestored(snapshot);
+    return { success: true, reason: "Manual change adopted, left as it is" };
+  }
+
+  let collection = await getCollectionProducts(admin, collectionId);
+
+  if (!collection) {
+    await markSnapshotRestored(snapshot);
+    return { success: true, reason: "Collection no longer exists, snapshot cleared" };
+  }
+
+  // The merchant may have added it back already
+  if (!collection.products.some((p) => p.id === productId)) {
+    const data = await admin.graphql(`
+      mutation addProducts($id: ID!, $productIds: [ID!]!) {
+        collectionAddProducts(id: $id, productIds: $productIds) {
+          collection {
             id
           }
+          userErrors {
+            field
+            message
+          }
         }
       }
+    `, {
+      variables: { id: collectionId, productIds: [productId] },
+    });
+
+    const userErrors = data.data?.collectionAddProducts?.userErrors || [];
+    if (userErrors.length > 0) {
+      return { success: false, reason: userErrors.map((e) => e.message).join(", ") };
     }
-  `, {
-    variables: { collectionId },
+
+    collection = await getCollectionProducts(admin, collectionId);
+  }
+
+  // Other sort orders place the product themselves
+  if (collection?.sortOrder === "MANUAL") {
+    const pushedIds = await getPushedProductIds(shopId, collectionId);
+    const targetPosition = resolveRestorePosition(collection.products, snapshot, pushedIds);
+
+    const reorderResult = await reorderCollection(admin, collectionId, [
+      { id: productId, newPosition: targetPosition.toString() },
+    ]);
+
+    if (!reorderResult.success) {
+      return { success: false, reason: reorderResult.reason };
+    }
+  }
+
+  await markSnapshotRestored(snapshot);
+  return { success: true };
+}
+
+/**
+ * Compare a collection's active PUSHED_TO_END and REMOVED_FROM_COLLECTION
+ * snapshots with the live collection, to catch changes made by hand (see
+ * describeCollectionDrift). Adopted snapshots are skipped.
+ *
+ * Returns one { snapshot, drift } per snapshot, where drift describes the
+ * change, or is null when the collection still matches.
+ */
+export async function findCollectionDrift(admin, shopId, collectionId) {
+  const snapshots = await db.productSnapshot.findMany({
+    where: {
+      shopId,
+      collectionId,
+      action: { in: ["PUSHED_TO_END", "REMOVED_FROM_COLLECTION"] },
+      status: "ACTIVE",
+      adoptedAt: null,
+    },
   });
+  if (snapshots.length === 0) return [];
 
-  const data = await response.json();
-  const products = data.data?.collection?.products?.nodes || [];
-  const currentIndex = products.findIndex((p) => p.id === productId);
+  const collection = await getCollectionProducts(admin, collectionId);
+  if (!collection) {
+    return snapshots.map((snapshot) => ({ snapshot, drift: "Collection no longer exists" }));
+  }
 
-  if (currentIndex === -1) {
-    // Product no longer in collection, just mark as restored
-    // Delete any existing RESTORED snapshots to avoid unique constraint violation
-    await db.productSnapshot.deleteMany({
-      where: { shopId, productId, collectionId, action: "PUSHED_TO_END", status: "RESTORED" },
-    });
-    await db.productSnapshot.update({
-      where: { id: snapshot.id },
-      data: { status: "RESTORED", restoredAt: new Date() },
+  return describeCollectionDrift(collection, snapshots);
+}
+
+/**
+ * Work out which snapshots no longer match a collection: a pushed product
+ * dragged back above the product it was placed below, a pushed product taken
+ * out, the sort order changed, or a removed product added back. Products
+ * added to the collection since the push don't count, and neither does a
+ * pushed product whose anchor has left the collection or was pushed too.
+ */
+export function describeCollectionDrift(collection, snapshots) {
+  const indexById = new Map(collection.products.map((p, index) => [p.id, index]));
+  const pushedIds = new Set(snapshots.filter((s) => s.action === "PUSHED_TO_END").map((s) => s.productId));
+  const where = collection.title;
+
+  return snapshots.map((snapshot) => {
+    const index = indexById.get(snapshot.productId);
+
+    if (snapshot.action === "REMOVED_FROM_COLLECTION") {
+      return { snapshot, drift: index !== undefined ? `Added back to ${where}` : null };
+    }
+
+    const anchorIndex = indexById.get(snapshot.placedBelowProductId);
+    let drift = null;
+    if (index === undefined) {
+      drift = `No longer in ${where}`;
+    } else if (collection.sortOrder !== "MANUAL") {
+      drift = `${where} sort order changed to ${collection.sortOrder}`;
+    } else if (anchorIndex !== undefined && !pushedIds.has(snapshot.placedBelowProductId) && index < anchorIndex) {
+      drift = `Moved back up in ${where}`;
+    }
+    return { snapshot, drift };
+  });
+}
+
+/**
+ * Work out where a pushed product should go back to. Neighbours that are gone
+ * or are themselves pushed down don't count.
+ */
+export function resolveRestorePosition(products, snapshot, pushedIds) {
+  // Positions in the final order, i.e. without the product being restored
+  const others = products
+    .map((p) => p.id)
+    .filter((id) => id !== snapshot.productId);
+
+  const isInPlace = (id) => id && !pushedIds.has(id) && others.includes(id);
+
+  if (isInPlace(snapshot.previousProductId)) {
+    return others.indexOf(snapshot.previousProductId) + 1;
+  }
+
+  if (isInPlace(snapshot.nextProductId)) {
+    return others.indexOf(snapshot.nextProductId);
+  }
+
+  // Clamp the saved index to the collection size
+  return Math.min(snapshot.originalPosition ?? 0, products.length - 1);
+}
+
+/**
+ * Find the closest products before and after an index that aren't in skipIds.
+ */
+export function findNeighbours(products, index, skipIds) {
+  let previousProductId = null;
+  let nextProductId = null;
+
+  for (let i = index - 1; i >= 0; i--) {
+    if (!skipIds.has(products[i].id)) {
+      previousProductId = products[i].id;
+      break;
+    }
+  }
+
+  for (let i = index + 1; i < products.length; i++) {
+    if (!skipIds.has(products[i].id)) {
+      nextProductId = products[i].id;
+      break;
+    }
+  }
+
+  return { previousProductId, nextProductId };
+}
+
+/**
+ * IDs of products with an active PUSHED_TO_END snapshot in a collection,
+ * except those whose manual placement was adopted.
+ */
+async function getPushedProductIds(shopId, collectionId) {
+  const snapshots = await db.productSnapshot.findMany({
+    where: { shopId, collectionId, action: "PUSHED_TO_END", status: "ACTIVE", adoptedAt: null },
+    select: { productId: true },
+  });
+  return new Set(snapshots.map((s) => s.productId));
+}
+
+/**
+ * Apply moves to a manually sorted collection and wait for Shopify's async
+ * reorder job to finish, so positions read afterwards are up to date.
+ * Moves are sent in chunks of 250, one job at a time. A job that is still
+ * running after the polling window fails with `timedOut`, as it may yet finish.
+ */
+async function reorderCollection(admin, collectionId, moves) {
+  for (let i = 0; i < moves.length; i += MAX_MOVES_PER_JOB) {
+    const data = await admin.graphql(`
+      mutation reorderProducts($collectionId: ID!, $moves: [MoveInput!]!) {
+        collectionReorderProducts(id: $collectionId, moves: $moves) {
+          job {
+            id
+            done
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `, {
+      variables: {
+        collectionId,
+        moves: moves.slice(i, i + MAX_MOVES_PER_JOB),
+      },
     });
-    return { success: true, reason: "Product no longer in collection, snapshot cleared" };
+
+    const userErrors = data.data?.collectionReorderProducts?.userErrors || [];
+
+    if (userErrors.length > 0) {
+      return { success: false, reason: userErrors.map((e) => e.message).join(", ") };
+    }
+
+    const done = await waitForJob(admin, data.data?.collectionReorderProducts?.job);
+    if (!done) {
+      return { success: false, timedOut: true, reason: "Reorder job did not finish in time" };
+    }
   }
 
-  // Clamp the target position to the collection size
-  const targetPosition = Math.min(snapshot.originalPosition ?? 0, products.length - 1);
+  return { success: true };
+}
 
-  const moveResponse = await admin.graphql(`
-    mutation reorderProducts($collectionId: ID!, $moves: [MoveInput!]!) {
-      collectionReorderProducts(id: $collectionId, moves: $moves) {
-        job {
+/**
+ * Set the sort order of a collection (e.g. "MANUAL", "BEST_SELLING").
+ */
+export async function updateCollectionSortOrder(admin, collectionId, sortOrder) {
+  const data = await admin.graphql(`
+    mutation updateCollectionSortOrder($input: CollectionInput!) {
+      collectionUpdate(input: $input) {
+        collection {
           id
-          done
+          sortOrder
         }
         userErrors {
           field
@@ -175,21 +734,150 @@ export async function restoreProductPosition(admin, shopId, productId, collectio
     }
   `, {
     variables: {
+      input: { id: collectionId, sortOrder },
+    },
+  });
+
+  const errors = data.data?.collectionUpdate?.userErrors || [];
+
+  return { success: errors.length === 0, errors };
+}
+
+/**
+ * Put back the sort order pushProductsToEnd switched away from when the push
+ * itself failed. A failure here is only logged, as the push already failed.
+ */
+async function revertSortOrder(admin, collectionId, sortOrder) {
+  const result = await updateCollectionSortOrder(admin, collectionId, sortOrder);
+
+  if (!result.success) {
+    console.error(`Failed to switch ${collectionId} back to ${sortOrder}:`, result.errors);
+  }
+}
+
+/**
+ * Switch a collection back to its original sort order once no pushed
+ * products remain in it. Does nothing for collections that were MANUAL
+ * before TidyShelf touched them.
+ */
+async function maybeRestoreCollectionSortOrder(admin, shopId, collectionId, snapshot) {
+  if (!snapshot.originalSortOrder) return { restoredSortOrder: null };
+
+  const remaining = await db.productSnapshot.count({
+    where: {
+      shopId,
       collectionId,
-      moves: [{ id: productId, newPosition: targetPosition.toString() }],
+      action: "PUSHED_TO_END",
+      status: "ACTIVE",
     },
   });
 
-  const moveData = await moveResponse.json();
-  const userErrors = moveData.data?.collectionReorderProducts?.userErrors || [];
+  // Other products are still pushed down, keep the collection MANUAL
+  if (remaining > 0) return { restoredSortOrder: null };
 
-  if (userErrors.length > 0) {
-    return { success: false, reason: userErrors.map((e) => e.message).join(", ") };
+  const result = await updateCollectionSortOrder(admin, collectionId, snapshot.originalSortOrder);
+
+  if (!result.success) {
+    console.error(
+      `Failed to restore sort order ${snapshot.originalSortOrder} for ${collectionId}:`,
+      result.errors,
+    );
+    return { restoredSortOrder: null };
   }
 
+  return { restoredSortOrder: snapshot.originalSortOrder };
+}
+
+/**
+ * Poll an async job until Shopify reports it done.
+ * Returns false if it is still running after the polling window.
+ */
+async function waitForJob(admin, job) {
+  if (!job || job.done) return true;
+
+  for (let attempt = 0; attempt < JOB_POLL_ATTEMPTS; attempt++) {
+    await new Promise((resolve) => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+
+    const data = await admin.graphql(`
+      query getJob($id: ID!) {
+        job(id: $id) {
+          id
+          done
+        }
+      }
+    `, {
+      variables: { id: job.id },
+    });
+
+    if (data.data?.job?.done) return true;
+  }
+
+  return false;
+}
+
+/**
+ * Fetch a collection with its sort order and all of its products in display order.
+ * Pages through the collection so positions stay correct past the first 250 products.
+ * Returns { id, title, sortOrder, isSmart, products } or null if the collection doesn't exist.
+ */
+async function getCollectionProducts(admin, collectionId) {
+  let collection = null;
+  const products = [];
+  let cursor = null;
+  let hasNext = true;
+
+  while (hasNext) {
+    const data = await admin.graphql(`
+      query getCollectionProducts($collectionId: ID!, $cursor: String) {
+        collection(id: $collectionId) {
+          id
+          title
+          sortOrder
+          ruleSet {
+            appliedDisjunctively
+          }
+          products(first: 250, after: $cursor, sortKey: COLLECTION_DEFAULT) {
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+            nodes {
+              id
+            }
+          }
+        }
+      }
+    `, {
+      variables: { collectionId, cursor },
+    });
+
+    const node = data.data?.collection;
+
+    if (!node) return null;
+
+    collection = { id: node.id, title: node.title, sortOrder: node.sortOrder, isSmart: Boolean(node.ruleSet) };
+    products.push(...node.products.nodes);
+
+    hasNext = node.products.pageInfo.hasNextPage;
+    cursor = node.products.pageInfo.endCursor;
+  }
+
+  return { ...collection, products };
+}
+
+/**
+ * Mark a PUSHED_TO_END or REMOVED_FROM_COLLECTION snapshot as restored.
+ */
+async function markSnapshotRestored(snapshot) {
   // Delete any existing RESTORED snapshots to avoid unique constraint violation
   await db.productSnapshot.deleteMany({
-    where: { shopId, productId, collectionId, action: "PUSHED_TO_END", status: "RESTORED" },
+    where: {
+      shopId: snapshot.shopId,
+      productId: snapshot.productId,
+      collectionId: snapshot.collectionId,
+      action: snapshot.action,
+      status: "RESTORED",
+    },
   });
 
   // Mark snapshot as restored
@@ -197,6 +885,4 @@ export async function restoreProductPosition(admin, shopId, productId, collectio
     where: { id: snapshot.id },
     data: { status: "RESTORED", restoredAt: new Date() },
   });
-
-  return { success: true };
 }
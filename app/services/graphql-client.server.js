@@ -0,0 +1,162 @@
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30 * 1000;
+// Wait for the bucket to refill before a request when fewer points than this are left
+const MIN_AVAILABLE_COST = 100;
+
+// Latest throttle status per shop: { maximumAvailable, currentlyAvailable, restoreRate, at }
+const costBuckets = new Map();
+
+/**
+ * A GraphQL request that Shopify rejected. `errors` holds the GraphQL errors
+ * (or the HTTP body) from the response.
+ */
+export class GraphqlError extends Error {
+  constructor(message, { errors = null, status = null } = {}) {
+    super(message);
+    this.name = "GraphqlError";
+    this.errors = errors;
+    this.status = status;
+  }
+}
+
+/**
+ * The shop's query cost bucket stayed empty through every retry.
+ */
+export class ThrottledError extends GraphqlError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "ThrottledError";
+  }
+}
+
+/**
+ * Shopify kept answering with a server error (5xx) through every retry.
+ */
+export class ShopifyServerError extends GraphqlError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "ShopifyServerError";
+  }
+}
+
+/**
+ * Wrap an admin API context for one shop. The returned client's
+ * `graphql(query, { variables })` resolves to the parsed response body
+ * ({ data, extensions }) and:
+ * - tracks the shop's available query cost and waits when it runs low
+ * - retries throttled and 5xx responses with backoff
+ * - throws GraphqlError, ThrottledError or ShopifyServerError instead of
+ *   returning a response with errors
+ */
+export function createAdminClient(admin, shop) {
+  return {
+    shop,
+    graphql: (query, options = {}) => request(admin, shop, query, options),
+  };
+}
+
+async function request(admin, shop, query, options) {
+  for (let attempt = 1; ; attempt++) {
+    await waitForCost(shop);
+
+    try {
+      const response = await admin.graphql(query, options);
+      const body = await response.json();
+      updateCostBucket(shop, body.extensions);
+      return body;
+    } catch (error) {
+      const failure = toGraphqlError(error);
+      if (!failure) throw error;
+
+      updateCostBucket(shop, error.body?.extensions);
+
+      const retriable = failure instanceof ThrottledError || failure instanceof ShopifyServerError;
+      if (!retriable || attempt >= MAX_ATTEMPTS) throw failure;
+
+      await sleep(getRetryDelay(shop, attempt, failure));
+    }
+  }
+}
+
+/**
+ * Turn an error from admin.graphql into a typed error, or return null for
+ * errors that should pass through unchanged (e.g. the 401 response that sends
+ * the merchant back through authentication).
+ */
+function toGraphqlError(error) {
+  // GraphqlQueryError from the Shopify API library: a 200 response with errors
+  if (error?.body?.errors?.graphQLErrors) {
+    const errors = error.body.errors.graphQLErrors;
+    const message = errors[0]?.message || error.message;
+
+    if (errors.some((e) => e.extensions?.code === "THROTTLED")) {
+      return new ThrottledError(`Throttled: ${message}`, { errors });
+    }
+    return new GraphqlError(message, { errors });
+  }
+
+  // Outside a request (webhooks, background jobs) HTTP errors are thrown as the
+  // library's HttpResponseError, inside one they arrive as a Response
+  const status = error instanceof Response
+    ? error.status
+    : typeof error?.response?.code === "number" ? error.response.code : null;
+
+  if (status === 429) {
+    return new ThrottledError("Throttled: too many requests", { status });
+  }
+  if (status >= 500) {
+    return new ShopifyServerError(`Shopify server error (${status})`, { status });
+  }
+  return null;
+}
+
+function updateCostBucket(shop, extensions) {
+  const status = extensions?.cost?.throttleStatus;
+  if (!status) return;
+
+  costBuckets.set(shop, {
+    maximumAvailable: status.maximumAvailable,
+    currentlyAvailable: status.currentlyAvailable,
+    restoreRate: status.restoreRate,
+    at: Date.now(),
+  });
+}
+
+/**
+ * Points the shop has available now, counting what has been restored since
+ * the last response.
+ */
+function getAvailableCost(bucket) {
+  const restored = ((Date.now() - bucket.at) / 1000) * bucket.restoreRate;
+  return Math.min(bucket.maximumAvailable, bucket.currentlyAvailable + restored);
+}
+
+async function waitForCost(shop) {
+  const bucket = costBuckets.get(shop);
+  if (!bucket) return;
+
+  const needed = Math.min(MIN_AVAILABLE_COST, bucket.maximumAvailable);
+  const available = getAvailableCost(bucket);
+  if (available >= needed) return;
+
+  await sleep(((needed - available) / bucket.restoreRate) * 1000);
+}
+
+function getRetryDelay(shop, attempt, failure) {
+  const backoff = Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), RETRY_MAX_DELAY_MS);
+  const bucket = costBuckets.get(shop);
+
+  // Throttled: wait until the bucket holds enough for another request
+  if (failure instanceof ThrottledError && bucket) {
+    const needed = Math.min(MIN_AVAILABLE_COST, bucket.maximumAvailable);
+    const refill = ((needed - getAvailableCost(bucket)) / bucket.restoreRate) * 1000;
+    return Math.max(backoff, refill);
+  }
+
+  return backoff;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
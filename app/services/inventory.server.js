@@ -1,12 +1,24 @@
 /**
- * Given an inventory item ID, find the parent product and check if ALL variants
- * are out of stock (inventoryQuantity <= 0).
+ * Given an inventory item ID, find the parent product and summarize the stock
+ * of all its variants. When `locationIds` is given, only stock at those
+ * locations counts; otherwise stock across all locations does.
  *
- * Returns { product, isFullyOutOfStock } or null if product not found.
+ * Returns { product, stock } or null if product not found. Whether that stock
+ * counts as low depends on the shop's low-stock rules (see getLowStockReason).
  */
-export async function checkProductInventory(admin, inventoryItemId) {
-  // First, find the inventory item to get the variant
-  const inventoryResponse = await admin.graphql(`
+export async function checkProductInventory(admin, inventoryItemId, { locationIds } = {}) {
+  const productId = await getInventoryItemProductId(admin, inventoryItemId);
+  if (!productId) return null;
+
+  return getProductStock(admin, productId, { locationIds });
+}
+
+/**
+ * Find the ID of the product an inventory item (numeric ID, as sent by the
+ * inventory webhook) belongs to, or null if it has none.
+ */
+export async function getInventoryItemProductId(admin, inventoryItemId) {
+  const inventoryData = await admin.graphql(`
     query getInventoryItem($id: ID!) {
       inventoryItem(id: $id) {
         id
@@ -23,49 +35,333 @@ export async function checkProductInventory(admin, inventoryItemId) {
     variables: { id: `gid://shopify/InventoryItem/${inventoryItemId}` },
   });
 
-  const inventoryData = await inventoryResponse.json();
-  const product = inventoryData.data?.inventoryItem?.variant?.product;
-
-  if (!product) return null;
+  return inventoryData.data?.inventoryItem?.variant?.product?.id ?? null;
+}
 
-  // Now check all variants of the product
-  const productResponse = await admin.graphql(`
+/**
+ * Summarize the stock of all of a product's variants, like checkProductInventory
+ * but starting from the product ID.
+ *
+ * Returns { product, stock } or null if product not found.
+ */
+export async function getProductStock(admin, productId, { locationIds } = {}) {
+  const productData = await admin.graphql(`
     query getProductVariants($id: ID!) {
       product(id: $id) {
         id
         title
+        status
         totalInventory
+        tags
+        vendor
+        productType
+        priceRangeV2 {
+          minVariantPrice {
+            amount
+          }
+        }
+        metafield(namespace: "tidyshelf", key: "behavior") {
+          value
+        }
         variants(first: 100) {
           nodes {
             id
             inventoryQuantity
+            inventoryPolicy
+            inventoryItem {
+              id
+              tracked
+            }
+            selectedOptions {
+              name
+              value
+            }
           }
         }
       }
     }
   `, {
-    variables: { id: product.id },
+    variables: { id: productId },
   });
 
-  const productData = await productResponse.json();
   const productNode = productData.data?.product;
 
   if (!productNode) return null;
 
   const variants = productNode.variants?.nodes || [];
-  const isFullyOutOfStock = variants.length > 0 &&
-    variants.every((v) => v.inventoryQuantity <= 0);
+  const quantities = locationIds?.length > 0
+    ? await getLocationQuantities(admin, variants.map((v) => v.inventoryItem?.id).filter(Boolean), locationIds)
+    : null;
+
+  return {
+    product: summarizeProduct(productNode),
+    stock: summarizeStock(variants, quantities),
+  };
+}
+
+/**
+ * Summarize the stock of every product in a collection, the same way
+ * getProductStock does for one product. Returns a Map of product ID to stock.
+ */
+export async function getCollectionStock(admin, collectionId, { locationIds } = {}) {
+  const stockById = new Map();
+  let cursor = null;
+  let hasNext = true;
+
+  while (hasNext) {
+    const data = await admin.graphql(`
+      query getCollectionStock($collectionId: ID!, $cursor: String) {
+        collection(id: $collectionId) {
+          products(first: 50, after: $cursor) {
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+            nodes {
+              id
+              variants(first: 100) {
+                nodes {
+                  id
+                  inventoryQuantity
+                  inventoryPolicy
+                  inventoryItem {
+                    id
+                    tracked
+                  }
+                  selectedOptions {
+                    name
+                    value
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    `, {
+      variables: { collectionId, cursor },
+    });
+
+    const connection = data.data?.collection?.products;
+    if (!connection) break;
+
+    const quantities = locationIds?.length > 0
+      ? await getLocationQuantities(
+        admin,
+        connection.nodes.flatMap((p) => (p.variants?.nodes || []).map((v) => v.inventoryItem?.id)).filter(Boolean),
+        locationIds,
+      )
+      : null;
+
+    for (const product of connection.nodes) {
+      stockById.set(product.id, summarizeStock(product.variants?.nodes || [], quantities));
+    }
+
+    hasNext = connection.pageInfo.hasNextPage;
+    cursor = connection.pageInfo.endCursor;
+  }
+
+  return stockById;
+}
+
+/**
+ * Reduce a product node to the fields evaluateProduct and product rules use:
+ * { id, title, status, totalInventory, tags, vendor, productType, price,
+ * behaviorMetafield } where price is the lowest variant price and
+ * behaviorMetafield the value of the `tidyshelf.behavior` override metafield.
+ */
+export function summarizeProduct(node) {
+  const amount = node.priceRangeV2?.minVariantPrice?.amount;
+
+  return {
+    id: node.id,
+    title: node.title,
+    status: node.status ?? null,
+    totalInventory: node.totalInventory,
+    tags: node.tags || [],
+    vendor: node.vendor ?? null,
+    productType: node.productType ?? null,
+    price: amount != null ? Number(amount) : null,
+    behaviorMetafield: node.metafield?.value ?? null,
+  };
+}
+
+/**
+ * Get the available quantity of each inventory item, summed over the given
+ * locations only. Returns a Map of inventory item ID to quantity.
+ */
+export async function getLocationQuantities(admin, inventoryItemIds, locationIds) {
+  const quantities = new Map();
+  const locationArgs = locationIds.map((_, i) => `$location${i}: ID!`).join(", ");
+  const levelFields = locationIds
+    .map((_, i) => `
+            location${i}: inventoryLevel(locationId: $location${i}) {
+              quantities(names: ["available"]) {
+                quantity
+              }
+            }`)
+    .join("");
+  const locationVariables = Object.fromEntries(locationIds.map((id, i) => [`location${i}`, id]));
+
+  for (let i = 0; i < inventoryItemIds.length; i += 100) {
+    const data = await admin.graphql(`
+      query getLocationQuantities($ids: [ID!]!, ${locationArgs}) {
+        nodes(ids: $ids) {
+          ... on InventoryItem {
+            id${levelFields}
+          }
+        }
+      }
+    `, {
+      variables: { ids: inventoryItemIds.slice(i, i + 100), ...locationVariables },
+    });
+
+    for (const item of data.data?.nodes || []) {
+      if (!item) continue;
+      const quantity = locationIds.reduce(
+        (sum, _, index) => sum + (item[`location${index}`]?.quantities?.[0]?.quantity ?? 0),
+        0,
+      );
+      quantities.set(item.id, quantity);
+    }
+  }
+
+  return quantities;
+}
+
+/**
+ * List the shop's locations as { id, name, isActive }.
+ */
+export async function getShopLocations(admin) {
+  const data = await admin.graphql(`
+    query getShopLocations {
+      locations(first: 100, includeInactive: true) {
+        nodes {
+          id
+          name
+          isActive
+        }
+      }
+    }
+  `);
+
+  return data.data?.locations?.nodes || [];
+}
+
+/**
+ * Reduce a product's variants to the stock figures used by low-stock rules.
+ * Returns { total, variants: [{ id, quantity, options, oversellable }] } where
+ * options are the variant's option values (e.g. ["M", "Blue"]) and oversellable
+ * marks variants that stay purchasable at zero stock: "continue selling when
+ * out of stock" is on, or inventory isn't tracked.
+ *
+ * `quantities` (from getLocationQuantities) replaces each variant's
+ * all-location inventoryQuantity with its stock at the counted locations.
+ */
+export function summarizeStock(variants, quantities = null) {
+  const summary = variants.map((v) => ({
+    id: v.id,
+    quantity: quantities
+      ? quantities.get(v.inventoryItem?.id) ?? 0
+      : v.inventoryQuantity ?? 0,
+    options: (v.selectedOptions || []).map((o) => o.value),
+    oversellable: v.inventoryPolicy === "CONTINUE" || v.inventoryItem?.tracked === false,
+  }));
 
   return {
-    product: {
-      id: productNode.id,
-      title: productNode.title,
-      totalInventory: productNode.totalInventory,
-    },
-    isFullyOutOfStock,
+    total: summary.reduce((sum, v) => sum + v.quantity, 0),
+    variants: summary,
   };
 }
 
+/**
+ * Work out which low-stock rule, if any, applies to the stock. Rules are
+ * checked in this order:
+ * - THRESHOLD: `mode` "EACH_VARIANT" (every variant has fewer than `threshold`
+ *   units) or "TOTAL" (all variants together have fewer than `threshold` units).
+ *   With the default threshold of 1 this means "fully out of stock".
+ * - SOLD_OUT_PERCENT: at least `soldOutPercent` % of the variants are sold out
+ * - CORE_OPTIONS: every variant with one of `coreOptionValues` (e.g. m, l) is sold out
+ *
+ * A variant counts as sold out below the threshold in EACH_VARIANT mode, and
+ * at zero in TOTAL mode. With `oversellInStock`, oversellable variants never
+ * count as sold out. `margin` raises every limit by that many units.
+ * Returns the rule name, or null if stock isn't low.
+ */
+export function getLowStockReason(stock, rule, margin = 0) {
+  const { mode, soldOutPercent, coreOptionValues, oversellInStock } = rule;
+  const threshold = rule.threshold + margin;
+  const variants = stock.variants;
+
+  if (variants.length === 0) return null;
+
+  const quantityOf = (v) => (oversellInStock && v.oversellable ? Infinity : v.quantity);
+  const total = variants.reduce((sum, v) => sum + quantityOf(v), 0);
+
+  if (mode === "TOTAL" ? total < threshold : variants.every((v) => quantityOf(v) < threshold)) {
+    return "THRESHOLD";
+  }
+
+  const variantThreshold = mode === "TOTAL" ? 1 + margin : threshold;
+  const isSoldOut = (v) => quantityOf(v) < variantThreshold;
+
+  if (soldOutPercent && variants.filter(isSoldOut).length * 100 >= soldOutPercent * variants.length) {
+    return "SOLD_OUT_PERCENT";
+  }
+
+  if (coreOptionValues?.length > 0) {
+    const core = variants.filter((v) =>
+      v.options.some((value) => coreOptionValues.includes(value.toLowerCase())),
+    );
+    if (core.length > 0 && core.every(isSoldOut)) return "CORE_OPTIONS";
+  }
+
+  return null;
+}
+
+/**
+ * Whether stock is low under a rule (see getLowStockReason).
+ */
+export function isLowStock(stock, rule) {
+  return getLowStockReason(stock, rule) !== null;
+}
+
+/**
+ * Whether stock is only kept out of "low" by oversellable variants, i.e. it
+ * would be low under the rule if they were counted by quantity.
+ */
+export function isKeptInStockByOverselling(stock, rule) {
+  return rule.oversellInStock && !isLowStock(stock, rule) && isLowStock(stock, { ...rule, oversellInStock: false });
+}
+
+/**
+ * Whether stock has recovered far enough to undo a demotion. A product has to
+ * climb `buffer` units above the threshold, so stock hovering around the
+ * threshold doesn't flip it back and forth on every inventory update.
+ */
+export function isRestocked(stock, rule) {
+  return getLowStockReason(stock, rule, rule.buffer ?? 0) === null;
+}
+
+/**
+ * Describe a low-stock rule for the activity log, e.g. "60% of variants sold out".
+ */
+export function describeLowStockReason(reason, rule) {
+  switch (reason) {
+    case "SOLD_OUT_PERCENT":
+      return `${rule.soldOutPercent}% of variants sold out`;
+    case "CORE_OPTIONS":
+      return `all ${rule.coreOptionValues.join("/").toUpperCase()} variants sold out`;
+    case "THRESHOLD":
+      if (rule.threshold <= 1) return "sold out";
+      return rule.mode === "TOTAL"
+        ? `fewer than ${rule.threshold} units in total`
+        : `every variant below ${rule.threshold} units`;
+    default:
+      return null;
+  }
+}
+
 /**
  * Get all collections that contain a given product.
  * Returns array of { id, title, sortOrder }.
@@ -76,7 +372,7 @@ export async function getProductCollections(admin, productId) {
   let hasNext = true;
 
   while (hasNext) {
-    const response = await admin.graphql(`
+    const data = await admin.graphql(`
       query getProductCollections($productId: ID!, $cursor: String) {
         product(id: $productId) {
           collections(first: 50, after: $cursor) {
@@ -96,7 +392,6 @@ export async function getProductCollections(admin, productId) {
       variables: { productId, cursor },
     });
 
-    const data = await response.json();
     const connection = data.data?.product?.collections;
 
     if (!connection) break;
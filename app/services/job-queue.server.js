@@ -0,0 +1,128 @@
+import db from "../db.server";
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+// A job still RUNNING after this long belongs to a worker that died
+const STALE_JOB_MS = 10 * 60 * 1000;
+
+/**
+ * Queue a job of `type` for `key` (e.g. a product ID). There is at most one
+ * pending job per shop, type and key: queueing one that is already pending
+ * does nothing, so bursts of webhooks for the same product are coalesced.
+ * A job that is already running doesn't count, so changes made while it runs
+ * still get picked up.
+ *
+ * Returns true if a new job was queued.
+ */
+export async function enqueueJob(shopId, type, key) {
+  try {
+    await db.job.create({
+      data: {
+        shopId,
+        type,
+        key,
+        dedupeKey: getDedupeKey(shopId, type, key),
+      },
+    });
+    return true;
+  } catch (error) {
+    // Unique constraint on dedupeKey: already pending
+    if (error.code === "P2002") return false;
+    throw error;
+  }
+}
+
+/**
+ * Claim the next job that is due, or return null when there is none.
+ * Claiming is a conditional update, so two workers never get the same job.
+ * Returns the job with its shop.
+ */
+export async function claimNextJob() {
+  for (;;) {
+    const job = await db.job.findFirst({
+      where: { status: "PENDING", runAt: { lte: new Date() } },
+      orderBy: { runAt: "asc" },
+    });
+    if (!job) return null;
+
+    const { count } = await db.job.updateMany({
+      where: { id: job.id, status: "PENDING" },
+      data: {
+        status: "RUNNING",
+        dedupeKey: null,
+        attempts: { increment: 1 },
+        lockedAt: new Date(),
+      },
+    });
+
+    // Another worker got there first; try the next one
+    if (count === 0) continue;
+
+    return db.job.findUnique({ where: { id: job.id }, include: { shop: true } });
+  }
+}
+
+/**
+ * Remove a job that finished successfully.
+ */
+export async function completeJob(job) {
+  await db.job.deleteMany({ where: { id: job.id } });
+}
+
+/**
+ * Record a failed attempt. The job is retried with exponential backoff
+ * (30s, 1m, 2m, ...) until it has run MAX_ATTEMPTS times, then kept as FAILED.
+ */
+export async function failJob(job, error) {
+  const lastError = String(error?.message || error).slice(0, 1000);
+
+  if (job.attempts >= MAX_ATTEMPTS) {
+    await db.job.update({
+      where: { id: job.id },
+      data: { status: "FAILED", lastError, lockedAt: null },
+    });
+    return;
+  }
+
+  const dedupeKey = getDedupeKey(job.shopId, job.type, job.key);
+
+  // A newer pending job for the same key will cover this one
+  const newer = await db.job.findUnique({ where: { dedupeKey } });
+  if (newer) {
+    await completeJob(job);
+    return;
+  }
+
+  await db.job.update({
+    where: { id: job.id },
+    data: {
+      status: "PENDING",
+      dedupeKey,
+      lastError,
+      lockedAt: null,
+      runAt: new Date(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1)),
+    },
+  });
+}
+
+/**
+ * Put jobs left RUNNING by a worker that stopped (e.g. a restart) back in the
+ * queue. Each counts as a failed attempt (see failJob), so a job that keeps
+ * taking its worker down ends up FAILED instead of being retried forever.
+ */
+export async function releaseStaleJobs() {
+  const stale = await db.job.findMany({
+    where: {
+      status: "RUNNING",
+      lockedAt: { lt: new Date(Date.now() - STALE_JOB_MS) },
+    },
+  });
+
+  for (const job of stale) {
+    await failJob(job, "Worker stopped while the job was running");
+  }
+}
+
+function getDedupeKey(shopId, type, key) {
+  return `${shopId}:${type}:${key}`;
+}
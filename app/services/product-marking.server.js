@@ -0,0 +1,207 @@
+import db from "../db.server";
+
+// Metafield set to the time a product was first demoted, for themes and email tools
+export const OUT_OF_STOCK_METAFIELD = { namespace: "tidyshelf", key: "out_of_stock_at" };
+
+// Snapshot actions for marks, as opposed to demotions
+export const MARK_ACTIONS = ["TAGGED", "METAFIELD_SET"];
+
+/**
+ * Mark a demoted product so other tools can see it: add the shop's `markTag`
+ * and/or set the OUT_OF_STOCK_METAFIELD to now when `markMetafield` is on.
+ *
+ * Each mark is saved in a snapshot for unmarkProduct. A tag the product
+ * already had isn't recorded, so a tag the merchant added is never removed,
+ * and the metafield's previous value is kept to put back. A product that is
+ * already marked keeps its first timestamp.
+ *
+ * Returns { success, tag, metafield } with what was added this time.
+ */
+export async function markProduct(admin, shopRecord, productId) {
+  const tag = shopRecord.markTag?.trim() || null;
+  if (!tag && !shopRecord.markMetafield) {
+    return { success: true, tag: null, metafield: false };
+  }
+
+  const existing = await db.productSnapshot.findMany({
+    where: { shopId: shopRecord.id, productId, action: { in: MARK_ACTIONS }, status: "ACTIVE" },
+  });
+  const isTagged = existing.some((s) => s.action === "TAGGED");
+  const isMetafieldSet = existing.some((s) => s.action === "METAFIELD_SET");
+
+  const data = await admin.graphql(`
+    query getProductMarks($id: ID!, $namespace: String!, $key: String!) {
+      product(id: $id) {
+        id
+        tags
+        metafield(namespace: $namespace, key: $key) {
+          value
+        }
+      }
+    }
+  `, {
+    variables: { id: productId, ...OUT_OF_STOCK_METAFIELD },
+  });
+
+  const product = data.data?.product;
+  if (!product) {
+    return { success: false, reason: "Product not found" };
+  }
+
+  const result = { success: true, tag: null, metafield: false };
+
+  // Shopify tags are case-insensitive
+  const hasTag = product.tags.some((t) => t.toLowerCase() === tag?.toLowerCase());
+  if (tag && !isTagged && !hasTag) {
+    const errors = await addTag(admin, productId, tag);
+    if (errors) return { success: false, reason: errors };
+
+    await db.productSnapshot.create({
+      data: { shopId: shopRecord.id, productId, markTag: tag, action: "TAGGED", status: "ACTIVE" },
+    });
+    result.tag = tag;
+  }
+
+  if (shopRecord.markMetafield && !isMetafieldSet) {
+    const errors = await setMetafield(admin, productId, new Date().toISOString());
+    if (errors) return { ...result, success: false, reason: errors };
+
+    await db.productSnapshot.create({
+      data: {
+        shopId: shopRecord.id,
+        productId,
+        originalMetafieldValue: product.metafield?.value ?? null,
+        action: "METAFIELD_SET",
+        status: "ACTIVE",
+      },
+    });
+    result.metafield = true;
+  }
+
+  return result;
+}
+
+/**
+ * Undo markProduct: remove the tag it added and put the metafield back to
+ * what it was (or delete it if there was none). Tags and metafields it didn't
+ * set aren't touched.
+ *
+ * Returns { success, tag, metafield } with what was removed.
+ */
+export async function unmarkProduct(admin, shopId, productId) {
+  const snapshots = await db.productSnapshot.findMany({
+    where: { shopId, productId, action: { in: MARK_ACTIONS }, status: "ACTIVE" },
+  });
+
+  const result = { success: true, tag: null, metafield: false };
+
+  for (const snapshot of snapshots) {
+    let errors;
+    if (snapshot.action === "TAGGED") {
+      errors = await removeTag(admin, productId, snapshot.markTag);
+      if (!errors) result.tag = snapshot.markTag;
+    } else {
+      errors = snapshot.originalMetafieldValue === null
+        ? await deleteMetafield(admin, productId)
+        : await setMetafield(admin, productId, snapshot.originalMetafieldValue);
+      if (!errors) result.metafield = true;
+    }
+
+    if (errors) {
+      result.success = false;
+      result.reason = errors;
+      continue;
+    }
+
+    await db.productSnapshot.update({
+      where: { id: snapshot.id },
+      data: { status: "RESTORED", restoredAt: new Date() },
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Describe what markProduct or unmarkProduct did, for the activity log.
+ */
+export function describeMarks({ tag, metafield }) {
+  const { namespace, key } = OUT_OF_STOCK_METAFIELD;
+  return [tag && `tag "${tag}"`, metafield && `metafield ${namespace}.${key}`].filter(Boolean).join(" and ");
+}
+
+async function addTag(admin, productId, tag) {
+  const data = await admin.graphql(`
+    mutation addTag($id: ID!, $tags: [String!]!) {
+      tagsAdd(id: $id, tags: $tags) {
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `, {
+    variables: { id: productId, tags: [tag] },
+  });
+
+  return formatErrors(data.data?.tagsAdd?.userErrors);
+}
+
+async function removeTag(admin, productId, tag) {
+  const data = await admin.graphql(`
+    mutation removeTag($id: ID!, $tags: [String!]!) {
+      tagsRemove(id: $id, tags: $tags) {
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `, {
+    variables: { id: productId, tags: [tag] },
+  });
+
+  return formatErrors(data.data?.tagsRemove?.userErrors);
+}
+
+async function setMetafield(admin, productId, value) {
+  const data = await admin.graphql(`
+    mutation setOutOfStockMetafield($metafields: [MetafieldsSetInput!]!) {
+      metafieldsSet(metafields: $metafields) {
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `, {
+    variables: {
+      metafields: [{ ownerId: productId, ...OUT_OF_STOCK_METAFIELD, type: "date_time", value }],
+    },
+  });
+
+  return formatErrors(data.data?.metafieldsSet?.userErrors);
+}
+
+async function deleteMetafield(admin, productId) {
+  const data = await admin.graphql(`
+    mutation deleteOutOfStockMetafield($metafields: [MetafieldIdentifierInput!]!) {
+      metafieldsDelete(metafields: $metafields) {
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `, {
+    variables: {
+      metafields: [{ ownerId: productId, ...OUT_OF_STOCK_METAFIELD }],
+    },
+  });
+
+  return formatErrors(data.data?.metafieldsDelete?.userErrors);
+}
+
+function formatErrors(userErrors) {
+  return userErrors?.length > 0 ? userErrors.map((e) => e.message).join(", ") : null;
+}
@@ -0,0 +1,157 @@
+import db from "../db.server";
+
+/**
+ * Change a product's status (DRAFT or ARCHIVED) to take it off sale.
+ * Saves the status it had before in a snapshot for restoreProductStatus,
+ * before the change is made, and drops it again if Shopify rejects the change.
+ * A product that was already changed keeps its first saved status, so moving
+ * it from DRAFT to ARCHIVED still restores it to ACTIVE.
+ */
+export async function setProductStatus(admin, shopId, productId, status) {
+  const currentStatus = await getProductStatus(admin, productId);
+  if (!currentStatus) {
+    return { success: false, reason: "Product not found" };
+  }
+
+  if (currentStatus === status) {
+    return { success: true, skipped: true, reason: `Product is already ${status.toLowerCase()}` };
+  }
+
+  const existing = await db.productSnapshot.findFirst({
+    where: { shopId, productId, action: "STATUS_CHANGED", status: "ACTIVE" },
+  });
+
+  const snapshot = existing ?? await db.productSnapshot.create({
+    data: {
+      shopId,
+      productId,
+      originalStatus: currentStatus,
+      appliedStatus: status,
+      action: "STATUS_CHANGED",
+      status: "ACTIVE",
+    },
+  });
+
+  const result = await updateProductStatus(admin, productId, status);
+  if (!result.success) {
+    if (!existing) await db.productSnapshot.delete({ where: { id: snapshot.id } });
+    return result;
+  }
+
+  if (existing) {
+    // The status is TidyShelf's again, even if a manual change was adopted
+    await db.productSnapshot.update({
+      where: { id: existing.id },
+      data: { appliedStatus: status, adoptedAt: null },
+    });
+  }
+
+  return { success: true, previousStatus: snapshot.originalStatus };
+}
+
+/**
+ * Put back the status a product had before setProductStatus changed it.
+ * A status the merchant changed by hand and adopted (see adoptDrift) is left
+ * as it is.
+ */
+export async function restoreProductStatus(admin, shopId, productId) {
+  const snapshot = await db.productSnapshot.findFirst({
+    where: { shopId, productId, action: "STATUS_CHANGED", status: "ACTIVE" },
+  });
+
+  if (!snapshot) {
+    return { success: true, reason: "No status change to restore" };
+  }
+
+  if (!snapshot.adoptedAt) {
+    const result = await updateProductStatus(admin, productId, snapshot.originalStatus);
+    if (!result.success) return result;
+  }
+
+  // Delete any existing RESTORED snapshots to avoid unique constraint violation
+  await db.productSnapshot.deleteMany({
+    where: {
+      shopId,
+      productId,
+      action: "STATUS_CHANGED",
+      status: "RESTORED",
+    },
+  });
+
+  await db.productSnapshot.update({
+    where: { id: snapshot.id },
+    data: { status: "RESTORED", restoredAt: new Date() },
+  });
+
+  if (snapshot.adoptedAt) {
+    return { success: true, reason: "Manual status change adopted, left as it is" };
+  }
+
+  return { success: true, restoredStatus: snapshot.originalStatus };
+}
+
+/**
+ * Compare a product's active STATUS_CHANGED snapshot with its live status, to
+ * catch a merchant changing it by hand. Adopted snapshots are skipped.
+ * Returns one { snapshot, drift } per snapshot, where drift describes the
+ * change, or is null when the product still has the status TidyShelf set.
+ */
+export async function findStatusDrift(admin, shopId, productId) {
+  const snapshot = await db.productSnapshot.findFirst({
+    where: { shopId, productId, action: "STATUS_CHANGED", status: "ACTIVE", adoptedAt: null },
+  });
+  if (!snapshot) return [];
+
+  const status = await getProductStatus(admin, productId);
+  if (!status) {
+    return [{ snapshot, drift: "Product no longer exists" }];
+  }
+
+  // Snapshots saved before appliedStatus existed only know it was taken off sale
+  const isApplied = snapshot.appliedStatus
+    ? status === snapshot.appliedStatus
+    : status === "DRAFT" || status === "ARCHIVED";
+
+  return [{ snapshot, drift: isApplied ? null : `Status changed to ${status}` }];
+}
+
+async function getProductStatus(admin, productId) {
+  const data = await admin.graphql(`
+    query getProductStatus($id: ID!) {
+      product(id: $id) {
+        id
+        status
+      }
+    }
+  `, {
+    variables: { id: productId },
+  });
+
+  return data.data?.product?.status ?? null;
+}
+
+async function updateProductStatus(admin, productId, status) {
+  const data = await admin.graphql(`
+    mutation updateProductStatus($product: ProductUpdateInput!) {
+      productUpdate(product: $product) {
+        product {
+          id
+          status
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `, {
+    variables: { product: { id: productId, status } },
+  });
+
+  const userErrors = data.data?.productUpdate?.userErrors || [];
+  if (userErrors.length > 0) {
+    return { success: false, reason: userErrors.map((e) => e.message).join(", ") };
+  }
+
+  return { success: true };
+}
@@ -1,12 +1,33 @@
 import db from "../db.server";
 
 /**
- * Hide a product from all sales channel publications.
- * Saves a snapshot of each publication for later restoration.
+ * List the shop's publications (sales channels), for choosing which ones HIDE
+ * unpublishes from.
  */
-export async function hideProduct(admin, shopId, productId) {
+export async function getShopPublications(admin) {
+  const data = await admin.graphql(`
+    query getShopPublications {
+      publications(first: 50) {
+        nodes {
+          id
+          name
+        }
+      }
+    }
+  `);
+
+  return data.data?.publications?.nodes || [];
+}
+
+/**
+ * Hide a product from its sales channel publications: all of them, or only
+ * those in `publicationIds`. Saves a snapshot of each publication before
+ * unpublishing from it, and drops it again if Shopify rejects the unpublish,
+ * so a restore re-publishes exactly the channels it was removed from.
+ */
+export async function hideProduct(admin, shopId, productId, { publicationIds } = {}) {
   // Get current publications for the product
-  const response = await admin.graphql(`
+  const data = await admin.graphql(`
     query getProductPublications($productId: ID!) {
       product(id: $productId) {
         id
@@ -25,12 +46,12 @@ export async function hideProduct(admin, shopId, productId) {
     variables: { productId },
   });
 
-  const data = await response.json();
   const publications = data.data?.product?.resourcePublicationsV2?.nodes || [];
-  const publishedOnes = publications.filter((p) => p.isPublished);
+  const publishedOnes = publications.filter((p) =>
+    p.isPublished && (!publicationIds || publicationIds.includes(p.publication.id)));
 
   if (publishedOnes.length === 0) {
-    return { success: true, reason: "Product already unpublished from all channels" };
+    return { success: true, reason: "Product already unpublished from the selected channels" };
   }
 
   const results = [];
@@ -38,18 +59,12 @@ export async function hideProduct(admin, shopId, productId) {
   for (const pub of publishedOnes) {
     const publicationId = pub.publication.id;
 
-    // Save snapshot
-    await db.productSnapshot.upsert({
-      where: {
-        shopId_productId_collectionId_action_status: {
-          shopId,
-          productId,
-          collectionId: publicationId, // reuse collectionId field to store publicationId
-          action: "HIDDEN",
-          status: "ACTIVE",
-        },
-      },
-      create: {
+    // Save snapshot (reuse collectionId field to store publicationId)
+    const existing = await db.productSnapshot.findFirst({
+      where: { shopId, productId, collectionId: publicationId, action: "HIDDEN", status: "ACTIVE" },
+    });
+    const snapshot = existing ?? await db.productSnapshot.create({
+      data: {
         shopId,
         productId,
         collectionId: publicationId,
@@ -57,11 +72,10 @@ export async function hideProduct(admin, shopId, productId) {
         action: "HIDDEN",
         status: "ACTIVE",
       },
-      update: {},
     });
 
     // Unpublish from this publication
-    const unpubResponse = await admin.graphql(`
+    const unpubData = await admin.graphql(`
       mutation unpublishProduct($id: ID!, $input: [PublicationInput!]!) {
         publishableUnpublish(id: $id, input: $input) {
           publishable {
@@ -82,7 +96,6 @@ export async function hideProduct(admin, shopId, productId) {
       },
     });
 
-    const unpubData = await unpubResponse.json();
     const errors = unpubData.data?.publishableUnpublish?.userErrors || [];
 
     results.push({
@@ -91,6 +104,11 @@ export async function hideProduct(admin, shopId, productId) {
       success: errors.length === 0,
       errors,
     });
+
+    // Only channels it was actually removed from get re-published on restore
+    if (errors.length > 0 && !existing) {
+      await db.productSnapshot.delete({ where: { id: snapshot.id } });
+    }
   }
 
   const allSucceeded = results.every((r) => r.success);
@@ -101,7 +119,9 @@ export async function hideProduct(admin, shopId, productId) {
 }
 
 /**
- * Restore product visibility by re-publishing to all saved publications.
+ * Restore product visibility by re-publishing to the publications saved when
+ * it was hidden. Channels the product was never hidden from aren't touched,
+ * and neither are ones where a manual re-publish was adopted (see adoptDrift).
  */
 export async function restoreProductVisibility(admin, shopId, productId) {
   const snapshots = await db.productSnapshot.findMany({
@@ -122,7 +142,13 @@ export async function restoreProductVisibility(admin, shopId, productId) {
   for (const snapshot of snapshots) {
     const publicationId = snapshot.publicationId;
 
-    const pubResponse = await admin.graphql(`
+    // The merchant re-published it by hand and that was adopted (see adoptDrift)
+    if (snapshot.adoptedAt) {
+      await markHiddenSnapshotRestored(snapshot);
+      continue;
+    }
+
+    const pubData = await admin.graphql(`
       mutation publishProduct($id: ID!, $input: [PublicationInput!]!) {
         publishablePublish(id: $id, input: $input) {
           publishable {
@@ -143,25 +169,8 @@ export async function restoreProductVisibility(admin, shopId, productId) {
       },
     });
 
-    const pubData = await pubResponse.json();
     const errors = pubData.data?.publishablePublish?.userErrors || [];
-
-    // Delete any existing RESTORED snapshots to avoid unique constraint violation
-    await db.productSnapshot.deleteMany({
-      where: {
-        shopId,
-        productId,
-        collectionId: snapshot.collectionId,
-        action: "HIDDEN",
-        status: "RESTORED",
-      },
-    });
-
-    // Mark snapshot as restored
-    await db.productSnapshot.update({
-      where: { id: snapshot.id },
-      data: { status: "RESTORED", restoredAt: new Date() },
-    });
+    await markHiddenSnapshotRestored(snapshot);
 
     results.push({
       publicationId,
@@ -176,3 +185,70 @@ export async function restoreProductVisibility(admin, shopId, productId) {
     publications: results,
   };
 }
+
+/**
+ * Compare a product's active HIDDEN snapshots with its live publications, to
+ * catch a merchant re-publishing it by hand. Adopted snapshots are skipped.
+ * Returns one { snapshot, drift } per snapshot, where drift describes the
+ * change, or is null when the product is still unpublished there.
+ */
+export async function findVisibilityDrift(admin, shopId, productId) {
+  const snapshots = await db.productSnapshot.findMany({
+    where: { shopId, productId, action: "HIDDEN", status: "ACTIVE", adoptedAt: null },
+  });
+  if (snapshots.length === 0) return [];
+
+  const data = await admin.graphql(`
+    query getProductPublications($productId: ID!) {
+      product(id: $productId) {
+        id
+        resourcePublicationsV2(first: 50) {
+          nodes {
+            isPublished
+            publication {
+              id
+              name
+            }
+          }
+        }
+      }
+    }
+  `, {
+    variables: { productId },
+  });
+
+  const product = data.data?.product;
+  if (!product) {
+    return snapshots.map((snapshot) => ({ snapshot, drift: "Product no longer exists" }));
+  }
+
+  const published = new Map(
+    product.resourcePublicationsV2.nodes
+      .filter((p) => p.isPublished)
+      .map((p) => [p.publication.id, p.publication.name]),
+  );
+
+  return snapshots.map((snapshot) => ({
+    snapshot,
+    drift: published.has(snapshot.publicationId) ? `Re-published to ${published.get(snapshot.publicationId)}` : null,
+  }));
+}
+
+async function markHiddenSnapshotRestored(snapshot) {
+  // Delete any existing RESTORED snapshots to avoid unique constraint violation
+  await db.productSnapshot.deleteMany({
+    where: {
+      shopId: snapshot.shopId,
+      productId: snapshot.productId,
+      collectionId: snapshot.collectionId,
+      action: "HIDDEN",
+      status: "RESTORED",
+    },
+  });
+
+  // Mark snapshot as restored
+  await db.productSnapshot.update({
+    where: { id: snapshot.id },
+    data: { status: "RESTORED", restoredAt: new Date() },
+  });
+}
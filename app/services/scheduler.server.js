@@ -0,0 +1,200 @@
+import db from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import { createAdminClient } from "./graphql-client.server";
+import { getInventoryItemProductId, getProductStock } from "./inventory.server";
+import { claimNextJob, completeJob, enqueueJob, failJob, releaseStaleJobs } from "./job-queue.server";
+import { getNextSyncAt, getOrCreateShop, getStockLocationIds } from "./settings.server";
+import { resumeStaleSyncRuns, startSyncRun } from "./sync-runs.server";
+import { evaluateProduct, findDueEscalations, reconcileSnapshots, runPendingDemotions } from "./sync.server";
+
+const TICK_INTERVAL_MS = 60 * 1000;
+const JOB_POLL_INTERVAL_MS = 5 * 1000;
+
+let running = false;
+let jobsRunning = false;
+
+/**
+ * Start the background timers: one works through the job queue, the other
+ * applies pending demotions once their grace period is over, queues products
+ * that reached a step of an escalation ladder, starts each shop's scheduled
+ * full sync and resumes interrupted sync runs. All of these
+ * live in the database, so anything that came due while the server was down
+ * is picked up on the first tick.
+ */
+export function startScheduler() {
+  // Only start once, even when the module is reloaded in development
+  if (global.schedulerStarted) return;
+  global.schedulerStarted = true;
+
+  setInterval(tick, TICK_INTERVAL_MS);
+  setInterval(runJobs, JOB_POLL_INTERVAL_MS);
+}
+
+/**
+ * Start working through the job queue now instead of at the next poll, e.g.
+ * right after a webhook queued a job. Doesn't wait for the jobs to finish.
+ */
+export function wakeJobWorker() {
+  runJobs();
+}
+
+/**
+ * Handlers per job type. `job.key` is what the job is about.
+ */
+const JOB_HANDLERS = {
+  // key: numeric inventory item ID from the inventory webhook
+  INVENTORY_UPDATE: async (admin, job) => {
+    const productId = await getInventoryItemProductId(admin, job.key);
+    if (productId) await enqueueJob(job.shopId, "EVALUATE_PRODUCT", productId);
+  },
+
+  // key: product ID
+  EVALUATE_PRODUCT: async (admin, job) => {
+    const shopRecord = await getOrCreateShop(job.shop.domain);
+    if (!shopRecord.enabled) return;
+
+    const result = await getProductStock(admin, job.key, {
+      locationIds: getStockLocationIds(shopRecord),
+    });
+    if (!result) return;
+
+    const { product, stock } = result;
+
+    // Demote or restore depending on stock and the shop's thresholds
+    const { restored, applied, deferred } = await evaluateProduct(admin, shopRecord, product, stock, {
+      deferDemotion: true,
+    });
+    if (deferred) {
+      console.log(`Product ${product.title} is low on stock - pending until the grace period ends`);
+    }
+    if (applied.length > 0) {
+      console.log(`Product ${product.title} is low on stock - deprioritized`);
+    }
+    if (restored.length > 0) {
+      console.log(`Product ${product.title} is back in stock - restored`);
+    }
+  },
+
+  // key: "all", since the check covers every demotion in the shop
+  RECONCILE_SNAPSHOTS: async (admin, job) => {
+    const { checked, drifted } = await reconcileSnapshots(admin, job.shop.domain);
+    console.log(`Checked ${checked} demotions for ${job.shop.domain}: ${drifted} changed by hand`);
+  },
+};
+
+async function runJobs() {
+  if (jobsRunning) return;
+  jobsRunning = true;
+
+  try {
+    let job;
+    while ((job = await claimNextJob())) {
+      try {
+        const { admin } = await unauthenticated.admin(job.shop.domain);
+        await JOB_HANDLERS[job.type](createAdminClient(admin, job.shop.domain), job);
+        await completeJob(job);
+      } catch (error) {
+        console.error(`Job ${job.type} ${job.key} for ${job.shop.domain} failed:`, error);
+        await failJob(job, error);
+      }
+    }
+  } catch (error) {
+    console.error("Job worker failed:", error);
+  } finally {
+    jobsRunning = false;
+  }
+}
+
+async function tick() {
+  // Skip a tick while the previous one is still running
+  if (running) return;
+  running = true;
+
+  try {
+    await releaseStaleJobs();
+    await applyPendingDemotions();
+    await queueEscalations();
+    await runScheduledSyncs();
+    await resumeStaleSyncRuns();
+  } catch (error) {
+    console.error("Scheduler tick failed:", error);
+  } finally {
+    running = false;
+  }
+}
+
+async function applyPendingDemotions() {
+  const shops = await db.shop.findMany({
+    where: { pendingProducts: { some: { dueAt: { lte: new Date() } } } },
+    select: { domain: true },
+  });
+
+  for (const shop of shops) {
+    try {
+      const { admin } = await unauthenticated.admin(shop.domain);
+      await runPendingDemotions(createAdminClient(admin, shop.domain), shop.domain);
+    } catch (error) {
+      console.error(`Error applying pending demotions for ${shop.domain}:`, error);
+    }
+  }
+}
+
+/**
+ * Queue a product evaluation for every product due for its next escalation
+ * step since the last check, so the job worker moves it up the ladder.
+ */
+async function queueEscalations() {
+  const now = new Date();
+  const shops = await db.shop.findMany({
+    where: {
+      enabled: true,
+      OR: [
+        { escalation: { not: null } },
+        { collectionRules: { some: { escalation: { not: null } } } },
+        { productRules: { some: { escalation: { not: null } } } },
+      ],
+    },
+    include: { collectionRules: true, productRules: true },
+  });
+
+  let queued = 0;
+  for (const shop of shops) {
+    try {
+      const productIds = await findDueEscalations(shop, shop.lastEscalationAt, now);
+      for (const productId of productIds) {
+        if (await enqueueJob(shop.id, "EVALUATE_PRODUCT", productId)) queued++;
+      }
+      await db.shop.update({ where: { id: shop.id }, data: { lastEscalationAt: now } });
+    } catch (error) {
+      console.error(`Error queueing escalations for ${shop.domain}:`, error);
+    }
+  }
+
+  if (queued > 0) wakeJobWorker();
+}
+
+async function runScheduledSyncs() {
+  const shops = await db.shop.findMany({
+    where: { syncSchedule: { not: "OFF" }, nextSyncAt: { lte: new Date() } },
+    select: { id: true, domain: true, syncSchedule: true },
+  });
+
+  for (const shop of shops) {
+    // Book the next run first, so a failing sync isn't retried every tick
+    await db.shop.update({
+      where: { id: shop.id },
+      data: { nextSyncAt: getNextSyncAt(shop.syncSchedule) },
+    });
+
+    try {
+      const run = await startSyncRun(shop.domain, { trigger: "SCHEDULED" });
+      if (run.preview) {
+        console.log(`Scheduled sync for ${shop.domain} skipped: sync preview ${run.id} is running`);
+      } else {
+        console.log(`Scheduled sync for ${shop.domain} started as run ${run.id}`);
+      }
+    } catch (error) {
+      console.error(`Scheduled sync failed for ${shop.domain}:`, error);
+    }
+  }
+}
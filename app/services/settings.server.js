@@ -8,7 +8,11 @@ export async function getOrCreateShop(domain) {
     where: { domain },
     create: { domain },
     update: {},
-    include: { collectionRules: true },
+    include: {
+      collectionRules: { orderBy: [{ priority: "asc" }, { createdAt: "asc" }] },
+      productRules: { orderBy: [{ priority: "asc" }, { createdAt: "asc" }] },
+      productOverrides: true,
+    },
   });
 }
 
@@ -16,18 +20,64 @@ export async function getOrCreateShop(domain) {
  * Update global settings for a shop.
  */
 export async function updateSettings(domain, data) {
+  const current = await db.shop.findUnique({
+    where: { domain },
+    select: { syncSchedule: true },
+  });
+
   return db.shop.update({
     where: { domain },
     data: {
       enabled: data.enabled,
       defaultBehavior: data.defaultBehavior,
       applyToAll: data.applyToAll,
+      placement: data.placement,
+      placementOffset: data.placementOffset,
+      soldOutOrder: data.soldOutOrder,
+      lowStockThreshold: data.lowStockThreshold,
+      lowStockMode: data.lowStockMode,
+      restockBuffer: data.restockBuffer,
+      soldOutPercent: data.soldOutPercent,
+      coreOptionValues: data.coreOptionValues,
+      stockLocationIds: data.stockLocationIds,
+      hidePublicationIds: data.hidePublicationIds,
+      oversellInStock: data.oversellInStock,
+      gracePeriodMinutes: data.gracePeriodMinutes,
+      syncSchedule: data.syncSchedule,
+      conflictPolicy: data.conflictPolicy,
+      escalation: data.escalation,
+      markTag: data.markTag,
+      markMetafield: data.markMetafield,
+      // Keep the next run time unless the schedule changed
+      nextSyncAt: data.syncSchedule === current?.syncSchedule
+        ? undefined
+        : getNextSyncAt(data.syncSchedule),
     },
   });
 }
 
+/**
+ * When a scheduled full sync should next run after `from`: an hour later for
+ * HOURLY, the next 03:00 UTC for NIGHTLY, or null when the schedule is OFF.
+ */
+export function getNextSyncAt(schedule, from = new Date()) {
+  if (schedule === "HOURLY") {
+    return new Date(from.getTime() + 60 * 60 * 1000);
+  }
+
+  if (schedule === "NIGHTLY") {
+    const next = new Date(from);
+    next.setUTCHours(3, 0, 0, 0);
+    if (next <= from) next.setUTCDate(next.getUTCDate() + 1);
+    return next;
+  }
+
+  return null;
+}
+
 /**
  * Add or update a collection-specific behavior rule.
+ * New rules go to the bottom of the rule order.
  */
 export async function upsertCollectionRule(shopId, collectionId, data) {
   return db.collectionRule.upsert({
@@ -37,12 +87,29 @@ export async function upsertCollectionRule(shopId, collectionId, data) {
     create: {
       shopId,
       collectionId,
+      priority: await getNextRulePriority(shopId),
       collectionTitle: data.collectionTitle,
       behavior: data.behavior,
+      placement: data.placement,
+      placementOffset: data.placementOffset,
+      soldOutOrder: data.soldOutOrder,
+      lowStockThreshold: data.lowStockThreshold,
+      soldOutPercent: data.soldOutPercent,
+      coreOptionValues: data.coreOptionValues,
+      hidePublicationIds: data.hidePublicationIds,
+      escalation: data.escalation,
     },
     update: {
       collectionTitle: data.collectionTitle,
       behavior: data.behavior,
+      placement: data.placement,
+      placementOffset: data.placementOffset,
+      soldOutOrder: data.soldOutOrder,
+      lowStockThreshold: data.lowStockThreshold,
+      soldOutPercent: data.soldOutPercent,
+      coreOptionValues: data.coreOptionValues,
+      hidePublicationIds: data.hidePublicationIds,
+      escalation: data.escalation,
     },
   });
 }
@@ -57,19 +124,494 @@ export async function deleteCollectionRule(shopId, collectionId) {
 }
 
 /**
- * Resolve the effective behavior for a given collection.
- * Priority: collection rule > global default.
- * Returns "PUSH_TO_END", "HIDE", or "EXCLUDE".
+ * Check a collection rule before it is saved: a collection and a known
+ * behavior. Returns an error message for the merchant, or null when the rule
+ * is valid.
+ */
+export function validateCollectionRule({ collectionId, behavior }) {
+  if (!collectionId) return "Choose a collection";
+  if (!BEHAVIOR_RESTRICTIVENESS.includes(behavior)) return "Choose a behavior";
+  return null;
+}
+
+const PRODUCT_RULE_FIELDS = ["TAG", "VENDOR", "PRODUCT_TYPE", "PRICE"];
+
+/**
+ * Check a product rule before it is saved: a known field and behavior, a
+ * value to match, and a price range that isn't empty. Returns an error
+ * message for the merchant, or null when the rule is valid.
+ */
+export function validateProductRule({ field, value, minPrice, maxPrice, behavior }) {
+  if (!PRODUCT_RULE_FIELDS.includes(field)) return "Choose what to match products on";
+  if (!BEHAVIOR_RESTRICTIVENESS.includes(behavior)) return "Choose a behavior";
+
+  if (field !== "PRICE") return value ? null : "Enter a value to match";
+  if (minPrice == null && maxPrice == null) return "Enter a minimum or maximum price";
+  if (minPrice != null && maxPrice != null && minPrice > maxPrice) {
+    return "The minimum price can't be above the maximum price";
+  }
+  return null;
+}
+
+/**
+ * Add a rule that matches products by tag, vendor, product type or price range.
+ * New rules go to the bottom of the rule order.
+ */
+export async function createProductRule(shopId, data) {
+  return db.productRule.create({
+    data: {
+      shopId,
+      priority: await getNextRulePriority(shopId),
+      field: data.field,
+      value: data.value,
+      minPrice: data.minPrice,
+      maxPrice: data.maxPrice,
+      behavior: data.behavior,
+      escalation: data.escalation,
+    },
+  });
+}
+
+/**
+ * Remove a product rule.
+ */
+export async function deleteProductRule(shopId, ruleId) {
+  return db.productRule.deleteMany({
+    where: { shopId, id: ruleId },
+  });
+}
+
+/**
+ * Set a product's override: NEVER_TOUCH, ALWAYS_HIDE or PIN (see getProductOverride).
+ */
+export async function upsertProductOverride(shopId, productId, data) {
+  return db.productOverride.upsert({
+    where: {
+      shopId_productId: { shopId, productId },
+    },
+    create: {
+      shopId,
+      productId,
+      productTitle: data.productTitle,
+      behavior: data.behavior,
+    },
+    update: {
+      productTitle: data.productTitle,
+      behavior: data.behavior,
+    },
+  });
+}
+
+/**
+ * Remove a product's override, so rules apply to it again.
+ */
+export async function deleteProductOverride(shopId, productId) {
+  return db.productOverride.deleteMany({
+    where: { shopId, productId },
+  });
+}
+
+const OVERRIDE_BEHAVIORS = ["NEVER_TOUCH", "ALWAYS_HIDE", "PIN"];
+
+/**
+ * Check a product override before it is saved. Returns an error message for
+ * the merchant, or null when the override is valid.
+ */
+export function validateProductOverride({ behavior }) {
+  return OVERRIDE_BEHAVIORS.includes(behavior) ? null : "Choose an override";
+}
+
+/**
+ * A product's override, checked before any rule:
+ * - NEVER_TOUCH: the app leaves the product alone and undoes anything it did to it
+ * - ALWAYS_HIDE: the product is hidden whatever its stock
+ * - PIN: the product keeps its place in every collection (never pushed or
+ *   removed); hiding still follows the rules
+ * Set on the Overrides page, or with the `tidyshelf.behavior` product metafield
+ * (e.g. "never_touch"); the page wins when both are set.
+ * Returns { behavior, rule } (see getMatchingRule) or null.
+ */
+export function getProductOverride(shopRecord, product) {
+  if (!product) return null;
+
+  const override = shopRecord.productOverrides?.find((o) => o.productId === product.id);
+  if (override) {
+    return { behavior: override.behavior, rule: `Product override: ${formatOverride(override.behavior)}` };
+  }
+
+  const value = product.behaviorMetafield?.trim().toUpperCase().replace(/[\s-]+/g, "_");
+  if (OVERRIDE_BEHAVIORS.includes(value)) {
+    return { behavior: value, rule: `Metafield tidyshelf.behavior: ${formatOverride(value)}` };
+  }
+
+  return null;
+}
+
+function formatOverride(behavior) {
+  return behavior.toLowerCase().replace(/_/g, " ");
+}
+
+/**
+ * Save a new rule order. `order` lists every rule as { type, id } with type
+ * "COLLECTION" or "PRODUCT", highest priority first.
+ */
+export async function reorderRules(shopId, order) {
+  await db.$transaction(order.map(({ type, id }, priority) =>
+    type === "PRODUCT"
+      ? db.productRule.updateMany({ where: { shopId, id }, data: { priority } })
+      : db.collectionRule.updateMany({ where: { shopId, id }, data: { priority } })));
+}
+
+/**
+ * Whether `order` (see reorderRules) lists each of the shop's rules exactly
+ * once, so no rule keeps an old priority that collides with the new ones.
+ */
+export function isCompleteRuleOrder(shopRecord, order) {
+  if (!Array.isArray(order)) return false;
+
+  const keys = order.map((entry) => `${entry?.type}:${entry?.id}`);
+  const expected = getOrderedRules(shopRecord).map(({ type, rule }) => `${type}:${rule.id}`);
+  return keys.length === expected.length &&
+    new Set(keys).size === keys.length &&
+    expected.every((key) => keys.includes(key));
+}
+
+async function getNextRulePriority(shopId) {
+  const [collectionRules, productRules] = await Promise.all([
+    db.collectionRule.aggregate({ where: { shopId }, _max: { priority: true } }),
+    db.productRule.aggregate({ where: { shopId }, _max: { priority: true } }),
+  ]);
+
+  return Math.max(collectionRules._max.priority ?? -1, productRules._max.priority ?? -1) + 1;
+}
+
+/**
+ * Every collection and product rule in priority order (lowest priority number
+ * first), as { type: "COLLECTION" | "PRODUCT", rule }. Rules with the same
+ * priority, e.g. ones added before rules could be reordered, keep the old
+ * order: product rules first, then oldest first.
+ */
+export function getOrderedRules(shopRecord) {
+  const typeOrder = { PRODUCT: 0, COLLECTION: 1 };
+
+  return [
+    ...(shopRecord.productRules || []).map((rule) => ({ type: "PRODUCT", rule })),
+    ...(shopRecord.collectionRules || []).map((rule) => ({ type: "COLLECTION", rule })),
+  ].sort((a, b) =>
+    (a.rule.priority ?? 0) - (b.rule.priority ?? 0) ||
+    typeOrder[a.type] - typeOrder[b.type] ||
+    new Date(a.rule.createdAt ?? 0) - new Date(b.rule.createdAt ?? 0));
+}
+
+/**
+ * Name a rule from getOrderedRules, e.g. 'Tag is "clearance"' or "Collection: Sale".
+ */
+export function describeRule({ type, rule }) {
+  return type === "PRODUCT" ? describeProductRule(rule) : `Collection: ${rule.collectionTitle}`;
+}
+
+/**
+ * Resolve the effective behavior for a product in a given collection.
+ * See getMatchingRule.
+ * Returns "PUSH_TO_END", "HIDE", "REMOVE_FROM_COLLECTION", "DRAFT", "ARCHIVE", or "EXCLUDE".
+ */
+export function getEffectiveBehavior(shopRecord, collectionId, product) {
+  return getMatchingRule(shopRecord, collectionId, product).behavior;
+}
+
+/**
+ * Find the rule that decides what happens to a product in a given collection:
+ * the product's override (see getProductOverride), otherwise the first rule
+ * in priority order (see getOrderedRules) that applies, i.e. a product rule
+ * matching the product or the collection's rule. Falls back to the global default.
+ * Without `product` (tags, vendor, productType, price) only collection rules
+ * and the default apply.
+ * Returns { behavior, rule, escalation } where `rule` names the rule for the
+ * activity log and `escalation` is its ladder, if any (see getEscalation).
+ */
+export function getMatchingRule(shopRecord, collectionId, product) {
+  if (!shopRecord.enabled) return { behavior: "EXCLUDE", rule: "App disabled" };
+
+  const override = getProductOverride(shopRecord, product);
+  if (override?.behavior === "NEVER_TOUCH") return { behavior: "EXCLUDE", rule: override.rule };
+  if (override?.behavior === "ALWAYS_HIDE") return { behavior: "HIDE", rule: override.rule };
+
+  const match = findMatchingRule(shopRecord, collectionId, product);
+
+  // Pinned products keep their place: anything that would move them is skipped
+  if (override?.behavior === "PIN" && ["PUSH_TO_END", "REMOVE_FROM_COLLECTION"].includes(match.behavior)) {
+    return { behavior: "EXCLUDE", rule: override.rule };
+  }
+
+  return match;
+}
+
+function findMatchingRule(shopRecord, collectionId, product) {
+  const match = getOrderedRules(shopRecord).find(({ type, rule }) =>
+    type === "PRODUCT"
+      ? product && matchesProductRule(rule, product)
+      : rule.collectionId === collectionId);
+
+  if (match) return { behavior: match.rule.behavior, rule: describeRule(match), escalation: match.rule.escalation ?? null };
+  if (shopRecord.applyToAll) {
+    return { behavior: shopRecord.defaultBehavior, rule: "Default", escalation: shopRecord.escalation ?? null };
+  }
+
+  return { behavior: "EXCLUDE", rule: "Default" };
+}
+
+// Least to most restrictive
+const BEHAVIOR_RESTRICTIVENESS = ["EXCLUDE", "PUSH_TO_END", "REMOVE_FROM_COLLECTION", "HIDE", "DRAFT", "ARCHIVE"];
+
+/**
+ * Resolve a product's behavior in each of its collections (null for a
+ * product without collections) when their rules disagree, following the
+ * shop's conflict policy:
+ * - PER_COLLECTION: each collection follows its own rule. HIDE, DRAFT and
+ *   ARCHIVE are product-wide, so the most restrictive of them that any
+ *   collection asks for is applied, and the other collections still apply
+ *   their own behavior.
+ * - MOST_RESTRICTIVE: every collection takes the most restrictive behavior
+ *   among them (ARCHIVE > DRAFT > HIDE > REMOVE_FROM_COLLECTION > PUSH_TO_END > EXCLUDE).
+ * - LEAST_RESTRICTIVE: every collection takes the least restrictive one.
+ * Returns a Map of collection ID to { behavior, rule } (see getMatchingRule).
+ */
+export function resolveBehaviors(shopRecord, collectionIds, product) {
+  const matches = new Map(
+    collectionIds.map((id) => [id, getMatchingRule(shopRecord, id, product)]),
+  );
+
+  const policy = shopRecord.conflictPolicy ?? "PER_COLLECTION";
+  if (policy === "PER_COLLECTION" || matches.size < 2) return matches;
+
+  const rank = (match) => BEHAVIOR_RESTRICTIVENESS.indexOf(match.behavior);
+  const winner = [...matches.values()].reduce((best, match) =>
+    (policy === "MOST_RESTRICTIVE" ? rank(match) > rank(best) : rank(match) < rank(best)) ? match : best);
+  const rule = `${winner.rule} (${policy === "MOST_RESTRICTIVE" ? "most" : "least"} restrictive wins)`;
+
+  return new Map(
+    [...matches].map(([id, match]) => [
+      id,
+      match.behavior === winner.behavior ? match : { behavior: winner.behavior, rule, escalation: winner.escalation },
+    ]),
+  );
+}
+
+// Behaviors an escalation step can move a product on to
+const ESCALATION_BEHAVIORS = ["HIDE", "DRAFT", "ARCHIVE"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse an escalation ladder ("14:HIDE,90:DRAFT") into steps of
+ * { afterDays, behavior }, soonest first. Invalid steps are dropped.
+ */
+export function parseEscalation(value) {
+  return (value || "")
+    .split(",")
+    .map((part) => {
+      const [days, behavior] = part.split(":").map((s) => s.trim());
+      return { afterDays: Number(days), behavior: behavior?.toUpperCase() };
+    })
+    .filter((step) => Number.isInteger(step.afterDays) && step.afterDays > 0 && ESCALATION_BEHAVIORS.includes(step.behavior))
+    .sort((a, b) => a.afterDays - b.afterDays);
+}
+
+/**
+ * Clean up a ladder from the settings form for saving, or null when it has no valid steps.
+ */
+export function normalizeEscalation(value) {
+  const steps = parseEscalation(value);
+  return steps.length > 0 ? steps.map((s) => `${s.afterDays}:${s.behavior}`).join(",") : null;
+}
+
+/**
+ * Describe a ladder for the settings page, e.g. "Hide after 14 days, then set
+ * to draft after 90 days", or null when it has no steps.
+ */
+export function describeEscalation(value) {
+  const labels = { HIDE: "hide", DRAFT: "set to draft", ARCHIVE: "archive" };
+  const text = parseEscalation(value)
+    .map((step) => `${labels[step.behavior]} after ${step.afterDays} days`)
+    .join(", then ");
+
+  return text ? text[0].toUpperCase() + text.slice(1) : null;
+}
+
+/**
+ * The escalation steps that are due for a product demoted since
+ * `demotedSince`, on the ladder of the rule that matched it (see
+ * getMatchingRule). Steps add to the rule's own behavior instead of replacing
+ * it, e.g. a pushed product stays pushed once it is also hidden. Rules that
+ * exclude products don't escalate.
+ * Returns { behaviors, rule } with the behavior of every due step, or null when none is due.
+ */
+export function getEscalation(match, demotedSince, now = new Date()) {
+  if (!demotedSince || match.behavior === "EXCLUDE") return null;
+
+  const days = (now - demotedSince) / DAY_MS;
+  const due = parseEscalation(match.escalation).filter((step) => step.afterDays <= days);
+  if (due.length === 0) return null;
+
+  return {
+    behaviors: due.map((step) => step.behavior),
+    rule: `${match.rule} (escalated after ${due[due.length - 1].afterDays} days)`,
+  };
+}
+
+/**
+ * Every step duration, in days, on the shop's escalation ladders.
  */
-export function getEffectiveBehavior(shopRecord, collectionId) {
-  if (!shopRecord.enabled) return "EXCLUDE";
+export function getEscalationDurations(shopRecord) {
+  const ladders = [
+    shopRecord.escalation,
+    ...(shopRecord.collectionRules || []).map((r) => r.escalation),
+    ...(shopRecord.productRules || []).map((r) => r.escalation),
+  ];
+  const days = ladders.flatMap((ladder) => parseEscalation(ladder).map((step) => step.afterDays));
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+/**
+ * Pick the most restrictive of some behaviors, or null when there are none.
+ */
+export function getMostRestrictive(behaviors) {
+  return behaviors.reduce((best, behavior) =>
+    best === null || BEHAVIOR_RESTRICTIVENESS.indexOf(behavior) > BEHAVIOR_RESTRICTIVENESS.indexOf(best) ? behavior : best, null);
+}
+
+/**
+ * Whether a product rule matches a product. Tags, vendor and product type
+ * are compared case-insensitively; a price range matches the product's
+ * lowest variant price, with either end left open.
+ */
+export function matchesProductRule(rule, product) {
+  const value = rule.value?.trim().toLowerCase();
+
+  switch (rule.field) {
+    case "TAG":
+      return (product.tags || []).some((tag) => tag.toLowerCase() === value);
+    case "VENDOR":
+      return product.vendor?.toLowerCase() === value;
+    case "PRODUCT_TYPE":
+      return product.productType?.toLowerCase() === value;
+    case "PRICE":
+      return product.price != null &&
+        (rule.minPrice == null || product.price >= rule.minPrice) &&
+        (rule.maxPrice == null || product.price <= rule.maxPrice);
+    default:
+      return false;
+  }
+}
 
+/**
+ * Describe a product rule's condition, e.g. 'Tag is "clearance"'.
+ */
+export function describeProductRule(rule) {
+  switch (rule.field) {
+    case "TAG":
+      return `Tag is "${rule.value}"`;
+    case "VENDOR":
+      return `Vendor is "${rule.value}"`;
+    case "PRODUCT_TYPE":
+      return `Product type is "${rule.value}"`;
+    case "PRICE":
+      if (rule.minPrice != null && rule.maxPrice != null) return `Price ${rule.minPrice}–${rule.maxPrice}`;
+      if (rule.minPrice != null) return `Price ${rule.minPrice} or more`;
+      return `Price up to ${rule.maxPrice}`;
+    default:
+      return rule.field;
+  }
+}
+
+/**
+ * Resolve where PUSH_TO_END places products in a given collection.
+ * Each field falls back to the shop setting when the collection rule leaves it unset.
+ * Returns { placement, placementOffset, soldOutOrder }.
+ */
+export function getEffectivePlacement(shopRecord, collectionId) {
   const rule = shopRecord.collectionRules?.find(
     (r) => r.collectionId === collectionId,
   );
 
-  if (rule) return rule.behavior;
-  if (shopRecord.applyToAll) return shopRecord.defaultBehavior;
+  return {
+    placement: rule?.placement ?? shopRecord.placement ?? "END",
+    placementOffset: rule?.placementOffset ?? shopRecord.placementOffset ?? 0,
+    soldOutOrder: rule?.soldOutOrder ?? shopRecord.soldOutOrder ?? "OLDEST_FIRST",
+  };
+}
 
-  return "EXCLUDE";
+/**
+ * Resolve the low-stock rule for a given collection (null for the shop default).
+ * The threshold and partial availability rules can be overridden per collection;
+ * mode and buffer are shop-wide.
+ * Returns { threshold, mode, buffer, soldOutPercent, coreOptionValues }.
+ */
+export function getStockRule(shopRecord, collectionId) {
+  const rule = collectionId
+    ? shopRecord.collectionRules?.find((r) => r.collectionId === collectionId)
+    : null;
+
+  return {
+    threshold: rule?.lowStockThreshold ?? shopRecord.lowStockThreshold ?? 1,
+    mode: shopRecord.lowStockMode ?? "EACH_VARIANT",
+    buffer: shopRecord.restockBuffer ?? 0,
+    soldOutPercent: rule?.soldOutPercent ?? shopRecord.soldOutPercent ?? null,
+    coreOptionValues: parseOptionValues(rule?.coreOptionValues ?? shopRecord.coreOptionValues),
+    oversellInStock: shopRecord.oversellInStock ?? true,
+  };
+}
+
+/**
+ * Every low-stock rule in use: the shop default plus one per collection rule.
+ * Stock that isn't low under any of these isn't low anywhere.
+ */
+export function getAllStockRules(shopRecord) {
+  return [
+    getStockRule(shopRecord, null),
+    ...(shopRecord.collectionRules || []).map((r) => getStockRule(shopRecord, r.collectionId)),
+  ];
+}
+
+/**
+ * Locations whose stock counts toward "in stock", or null when every location counts.
+ */
+export function getStockLocationIds(shopRecord) {
+  return parseIdList(shopRecord.stockLocationIds);
+}
+
+/**
+ * Publications (sales channels) HIDE unpublishes a product from in a given
+ * collection, or null for every channel it is published to.
+ * Priority: collection rule > global setting.
+ */
+export function getHidePublicationIds(shopRecord, collectionId) {
+  const rule = shopRecord.collectionRules?.find(
+    (r) => r.collectionId === collectionId,
+  );
+
+  return parseIdList(rule?.hidePublicationIds) ?? parseIdList(shopRecord.hidePublicationIds);
+}
+
+/**
+ * Parse a comma-separated list of IDs, or null when it is empty.
+ */
+function parseIdList(value) {
+  const ids = (value || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+
+  return ids.length > 0 ? ids : null;
+}
+
+/**
+ * Parse a comma-separated list of option values ("M, L") into lowercase values.
+ */
+function parseOptionValues(value) {
+  if (!value) return [];
+  return value
+    .split(",")
+    .map((v) => v.trim().toLowerCase())
+    .filter(Boolean);
 }
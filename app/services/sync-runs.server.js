@@ -0,0 +1,133 @@
+import db from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import { createAdminClient } from "./graphql-client.server";
+import { getOrCreateShop } from "./settings.server";
+import { runFullSync } from "./sync.server";
+
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+// A RUNNING run without a heartbeat for this long was interrupted (e.g. a restart)
+const STALE_RUN_MS = 2 * 60 * 1000;
+
+/**
+ * Start a full sync in the background and return its SyncRun record right
+ * away. Only one run per shop goes at a time: if one is already running, that
+ * run is returned instead. `trigger` is MANUAL or SCHEDULED. With `preview`
+ * the run changes nothing and saves a report of what a sync would do (see
+ * getSyncPreviewReport).
+ */
+export async function startSyncRun(shopDomain, { trigger = "MANUAL", preview = false } = {}) {
+  const shopRecord = await getOrCreateShop(shopDomain);
+
+  const running = await db.syncRun.findFirst({
+    where: { shopId: shopRecord.id, status: "RUNNING" },
+  });
+  if (running) return running;
+
+  const run = await db.syncRun.create({
+    data: { shopId: shopRecord.id, trigger, preview },
+  });
+
+  executeSyncRun(run.id).catch((error) => console.error(`Sync run ${run.id} failed to start:`, error));
+  return run;
+}
+
+/**
+ * The shop's most recent sync run (or preview run, with `preview`), without
+ * its report, or null if it never ran one.
+ */
+export async function getLatestSyncRun(shopId, { preview = false } = {}) {
+  return db.syncRun.findFirst({
+    where: { shopId, preview },
+    orderBy: { startedAt: "desc" },
+    omit: { report: true },
+  });
+}
+
+/**
+ * The report of a finished preview run, as a list of entries (see
+ * evaluateProduct), or null if the shop has no such run.
+ */
+export async function getSyncPreviewReport(shopId, runId) {
+  const run = await db.syncRun.findFirst({
+    where: { id: runId, shopId, preview: true, status: "COMPLETED" },
+    select: { report: true },
+  });
+  return run ? JSON.parse(run.report ?? "[]") : null;
+}
+
+/**
+ * Pick up runs that stopped without finishing, e.g. because the server
+ * restarted, and carry them on from their saved cursor.
+ */
+export async function resumeStaleSyncRuns() {
+  const stale = await db.syncRun.findMany({
+    where: {
+      status: "RUNNING",
+      OR: [{ heartbeatAt: null }, { heartbeatAt: { lt: new Date(Date.now() - STALE_RUN_MS) } }],
+    },
+    select: { id: true },
+  });
+
+  // Not awaited: a run can take a long time and shouldn't hold up the caller
+  for (const run of stale) {
+    executeSyncRun(run.id).catch((error) => console.error(`Sync run ${run.id} failed to resume:`, error));
+  }
+}
+
+/**
+ * Run (or resume) a sync run to the end and record how it finished. Claiming
+ * the run is a conditional update on its heartbeat, so a run is never worked
+ * on twice at the same time.
+ */
+async function executeSyncRun(runId) {
+  const now = new Date();
+  const { count } = await db.syncRun.updateMany({
+    where: {
+      id: runId,
+      status: "RUNNING",
+      OR: [{ heartbeatAt: null }, { heartbeatAt: { lt: new Date(now.getTime() - STALE_RUN_MS) } }],
+    },
+    data: { heartbeatAt: now },
+  });
+  if (count === 0) return;
+
+  const run = await db.syncRun.findUnique({ where: { id: runId }, include: { shop: true } });
+
+  // Keep the claim alive while the sync waits on long requests, e.g. a bulk operation
+  const heartbeat = setInterval(() => {
+    db.syncRun.update({ where: { id: runId }, data: { heartbeatAt: new Date() } })
+      .catch((error) => console.error(`Failed to update sync run ${runId}:`, error));
+  }, HEARTBEAT_INTERVAL_MS);
+
+  try {
+    const { admin } = await unauthenticated.admin(run.shop.domain);
+    const result = await runFullSync(createAdminClient(admin, run.shop.domain), run.shop.domain, {
+      run,
+      preview: run.preview,
+    });
+
+    await db.syncRun.update({
+      where: { id: runId },
+      data: { status: "COMPLETED", finishedAt: new Date() },
+    });
+    console.log(`Sync run ${runId} for ${run.shop.domain}: ${result.message}`);
+  } catch (error) {
+    console.error(`Sync run ${runId} for ${run.shop.domain} failed:`, error);
+    // Keep the per-product errors saved with the progress so far
+    const { errors } = await db.syncRun.findUnique({ where: { id: runId }, select: { errors: true } });
+    await db.syncRun.update({
+      where: { id: runId },
+      data: {
+        status: "FAILED",
+        finishedAt: new Date(),
+        errors: JSON.stringify([...parseErrors(errors), error.message]),
+      },
+    });
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+function parseErrors(errors) {
+  return errors ? JSON.parse(errors) : [];
+}
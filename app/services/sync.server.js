@@ -1,121 +1,794 @@
 import db from "../db.server";
-import { getEffectiveBehavior, getOrCreateShop } from "./settings.server";
-import { getProductCollections } from "./inventory.server";
-import { pushProductToEnd, restoreProductPosition } from "./collection-reorder.server";
-import { hideProduct, restoreProductVisibility } from "./product-visibility.server";
+import {
+  getEffectiveBehavior,
+  getAllStockRules,
+  getEffectivePlacement,
+  getEscalation,
+  getEscalationDurations,
+  getHidePublicationIds,
+  getMatchingRule,
+  getMostRestrictive,
+  getOrCreateShop,
+  getProductOverride,
+  resolveBehaviors,
+  getStockLocationIds,
+  getStockRule,
+} from "./settings.server";
+import {
+  describeLowStockReason,
+  getCollectionStock,
+  getLocationQuantities,
+  getLowStockReason,
+  getProductCollections,
+  getProductStock,
+  isKeptInStockByOverselling,
+  isLowStock,
+  isRestocked,
+  summarizeProduct,
+  summarizeStock,
+} from "./inventory.server";
+import { BULK_SYNC_PRODUCT_THRESHOLD, getProductCount, streamBulkProducts } from "./bulk-sync.server";
+import {
+  findCollectionDrift,
+  pushProductToEnd,
+  pushProductsToEnd,
+  removeProductFromCollection,
+  restoreProductPosition,
+  restoreProductToCollection,
+} from "./collection-reorder.server";
+import { findVisibilityDrift, hideProduct, restoreProductVisibility } from "./product-visibility.server";
+import { findStatusDrift, restoreProductStatus, setProductStatus } from "./product-status.server";
+import { MARK_ACTIONS, describeMarks, markProduct, unmarkProduct } from "./product-marking.server";
+
+// Errors kept on a sync run, so one bad run can't grow the record without limit
+const MAX_SYNC_ERRORS = 20;
+
+// Behaviors that act on the whole product, least restrictive first, with their log action
+const PRODUCT_LEVEL_ACTIONS = { HIDE: "HIDDEN", DRAFT: "DRAFTED", ARCHIVE: "ARCHIVED" };
+
+// Product status each status-changing action sets
+const STATUS_BY_ACTION = { DRAFTED: "DRAFT", ARCHIVED: "ARCHIVED" };
+
+// Result actions after which a product gets marked (see markProduct)
+const DEMOTED_ACTIONS = ["QUEUED", "DEPRIORITIZED", "REMOVED_FROM_COLLECTION", "HIDDEN", "DRAFTED", "ARCHIVED"];
 
 /**
- * Handle a product that is fully out of stock.
+ * Bring a product's demotions in line with its current stock and the shop's rules.
+ * Used by both the inventory webhook and the full sync. The product's
+ * override (see getProductOverride) is checked before anything else.
+ *
+ * Restores collections where the product has restocked (past the restock
+ * buffer) or whose rule no longer asks for the current action, then demotes it
+ * wherever it is low on stock and not handled yet. Escalation steps that
+ * have come due since the first demotion (see getEscalation) are applied on
+ * top of what is already in place.
+ *
+ * With `deferDemotion` and a shop grace period, a first demotion is recorded
+ * as pending instead and only applied by runPendingDemotions once the grace
+ * period is over. A pending product that restocks in the meantime is dropped.
+ * Previews report a product still in its grace period as skipped.
+ *
+ * `activeSnapshots` and `collections` can be passed in when the caller has
+ * already loaded them (e.g. a bulk sync), to save a query per product.
+ *
+ * With a `report` array nothing is changed or logged: every action that would
+ * be taken is added to the report as { productId, productTitle, collection,
+ * action, detail, rule } instead.
+ *
+ * Returns { restored, applied, deferred } with the results of both steps.
+ */
+export async function evaluateProduct(admin, shopRecord, product, stock, {
+  pushBatch,
+  deferDemotion = false,
+  activeSnapshots,
+  collections,
+  report,
+} = {}) {
+  activeSnapshots = activeSnapshots ?? await db.productSnapshot.findMany({
+    where: {
+      shopId: shopRecord.id,
+      productId: product.id,
+      status: "ACTIVE",
+    },
+  });
+
+  // Overrides come before stock: never-touch products only get earlier demotions
+  // undone, and always-hide products are hidden whatever their stock
+  const override = getProductOverride(shopRecord, product);
+  if (override?.behavior === "NEVER_TOUCH" && activeSnapshots.length === 0) {
+    return { restored: [], applied: [], deferred: false };
+  }
+  const alwaysHide = override?.behavior === "ALWAYS_HIDE";
+
+  // Not low under any threshold and nothing to undo
+  const stockRules = getAllStockRules(shopRecord);
+  if (activeSnapshots.length === 0 && !alwaysHide && !stockRules.some((rule) => isLowStock(stock, rule))) {
+    if (stockRules.some((rule) => isKeptInStockByOverselling(stock, rule))) {
+      const detail = "Still sellable when out of stock (continue selling or untracked inventory) - left in place";
+      if (report) {
+        addToReport(report, product, null, "SKIPPED", detail);
+        return { restored: [], applied: [], deferred: false };
+      }
+      // Once when the product runs out, not on every webhook and sync while it stays that way
+      if (!await isLatestActivity(shopRecord.id, product.id, "SKIPPED", detail)) {
+        await logActivity(shopRecord.id, product.id, product.title, "SKIPPED", detail);
+      }
+    }
+    if (report) return { restored: [], applied: [], deferred: false };
+    // Restocked during the grace period: drop it without touching the collection
+    if (shopRecord.gracePeriodMinutes) await cancelPendingDemotion(shopRecord, product.id);
+    return { restored: [], applied: [], deferred: false };
+  }
+
+  if (activeSnapshots.length === 0 && deferDemotion && !alwaysHide &&
+      await isDemotionPending(shopRecord, product, { start: !report })) {
+    if (report) addToReport(report, product, null, "SKIPPED", "Low on stock - waiting for the grace period to end");
+    return { restored: [], applied: [], deferred: true };
+  }
+
+  collections = collections ?? await getProductCollections(admin, product.id);
+
+  // Collections the product was removed from still count when rules conflict
+  const removedSnapshots = activeSnapshots.filter((s) => s.action === "REMOVED_FROM_COLLECTION");
+  const behaviors = resolveBehaviors(shopRecord, [
+    ...(collections.length > 0 ? collections.map((c) => c.id) : [null]),
+    ...removedSnapshots.map((s) => s.collectionId),
+  ], product);
+
+  // Escalation ladders count from the product's first demotion that is still in place
+  const demotions = activeSnapshots.filter((s) => !MARK_ACTIONS.includes(s.action));
+  const demotedSince = demotions.length > 0
+    ? new Date(Math.min(...demotions.map((s) => new Date(s.createdAt).getTime())))
+    : null;
+
+  // Behaviors to act on now: where an escalation step is due, the most
+  // restrictive product-level behavior takes over from the rule's own
+  const planBehaviors = new Map(behaviors);
+
+  const toTarget = (collection) => {
+    const id = collection?.id ?? null;
+    const match = behaviors.get(id);
+    const escalation = getEscalation(match, demotedSince);
+    // Product-level behaviors (hide, draft, archive) that apply here, escalated ones included
+    const productBehaviors = [match.behavior, ...(escalation?.behaviors ?? [])]
+      .filter((behavior) => PRODUCT_LEVEL_ACTIONS[behavior]);
+
+    if (escalation) {
+      const behavior = getMostRestrictive(productBehaviors);
+      planBehaviors.set(id, { behavior, rule: escalation.behaviors.includes(behavior) ? escalation.rule : match.rule });
+    }
+
+    return { collection, behavior: match.behavior, productBehaviors, rule: getStockRule(shopRecord, id) };
+  };
+
+  // Products without collections follow product rules and the shop default
+  const targets = collections.length > 0 ? collections.map(toTarget) : [toTarget(null)];
+
+  const hideTargets = targets.filter((t) => t.productBehaviors.includes("HIDE"));
+  const isHidden = activeSnapshots.some((s) => s.action === "HIDDEN");
+  // Stay hidden until stock clears the threshold plus buffer of every HIDE rule
+  const keepHidden = isHidden && (alwaysHide || hideTargets.some((t) => !isRestocked(stock, t.rule)));
+
+  // Likewise, keep a drafted or archived product that way until every DRAFT and ARCHIVE rule clears
+  const statusTargets = targets.filter((t) => t.productBehaviors.some((b) => b === "DRAFT" || b === "ARCHIVE"));
+  const isStatusChanged = activeSnapshots.some((s) => s.action === "STATUS_CHANGED");
+  const keepStatus = isStatusChanged && statusTargets.some((t) => !isRestocked(stock, t.rule));
+
+  // Pushes to undo: restocked, no longer PUSH_TO_END, or the product left the collection
+  const pushSnapshots = activeSnapshots.filter((s) => s.action === "PUSHED_TO_END");
+  const restoreCollectionIds = pushSnapshots
+    .filter((s) => {
+      const target = targets.find((t) => t.collection?.id === s.collectionId);
+      return !target || target.behavior !== "PUSH_TO_END" || isRestocked(stock, target.rule);
+    })
+    .map((s) => s.collectionId);
+
+  // Removals to undo: restocked or no longer REMOVE_FROM_COLLECTION. The product
+  // isn't in these collections any more, so they aren't among the targets
+  const readdSnapshots = removedSnapshots.filter((s) =>
+    behaviors.get(s.collectionId).behavior !== "REMOVE_FROM_COLLECTION" ||
+    isRestocked(stock, getStockRule(shopRecord, s.collectionId)));
+  restoreCollectionIds.push(...readdSnapshots.map((s) => s.collectionId));
+
+  if (report) {
+    for (const collectionId of restoreCollectionIds) {
+      const target = targets.find((t) => t.collection?.id === collectionId);
+      const removed = readdSnapshots.find((s) => s.collectionId === collectionId);
+
+      const { rule } = behaviors.get(collectionId) ?? getMatchingRule(shopRecord, collectionId, product);
+
+      if (removed) {
+        const detail = behaviors.get(collectionId).behavior !== "REMOVE_FROM_COLLECTION"
+          ? "Collection no longer removes products"
+          : "Back in stock";
+        const title = shopRecord.collectionRules?.find((r) => r.collectionId === collectionId)?.collectionTitle;
+        addToReport(report, product, { id: collectionId, title: title ?? collectionId }, "RESTORED_TO_COLLECTION", detail, rule);
+        continue;
+      }
+
+      const detail = !target
+        ? "No longer in this collection"
+        : target.behavior !== "PUSH_TO_END" ? "Collection no longer pushes to end" : "Back in stock";
+      addToReport(report, product, target?.collection ?? { id: collectionId, title: collectionId }, "RESTORED_POSITION", detail, rule);
+    }
+    if (isHidden && !keepHidden) {
+      addToReport(report, product, null, "RESTORED_VISIBILITY", "Back in stock", getMatchingRule(shopRecord, null, product).rule);
+    }
+    if (isStatusChanged && !keepStatus) {
+      const snapshot = activeSnapshots.find((s) => s.action === "STATUS_CHANGED");
+      addToReport(report, product, null, "RESTORED_STATUS", `Status set back to ${snapshot.originalStatus}`,
+        getMatchingRule(shopRecord, null, product).rule);
+    }
+  }
+
+  // Marks left behind by an unmark that failed, on a product that is back in stock
+  const isStaleMark = activeSnapshots.length > 0 &&
+    activeSnapshots.every((s) => MARK_ACTIONS.includes(s.action)) &&
+    targets.every((t) => isRestocked(stock, t.rule));
+
+  let restored = [];
+  const restoreProduct = (isHidden && !keepHidden) || (isStatusChanged && !keepStatus) || isStaleMark;
+  if (!report && (restoreCollectionIds.length > 0 || restoreProduct)) {
+    restored = await handleBackInStock(admin, shopRecord, product.id, product.title, {
+      collectionIds: restoreCollectionIds,
+      keepHidden,
+      keepStatus,
+      product,
+    });
+  }
+
+  // Work out what is still left to do
+  let pending = [];
+  if (activeSnapshots.length === 0) {
+    // First demotion: run every collection so exclusions get logged too
+    pending = targets;
+  } else {
+    // Product-level demotions (hide, draft, archive) take over from collection ones
+    const lowProductTargets = targets.filter((t) =>
+      t.productBehaviors.length > 0 && ((alwaysHide && t.behavior === "HIDE") || isLowStock(stock, t.rule)));
+    const wanted = getMostRestrictive(lowProductTargets.flatMap((t) => t.productBehaviors));
+
+    // How far the product-level demotions that stay in place already go
+    const appliedLevel = getMostRestrictive([
+      keepHidden && "HIDE",
+      keepStatus && (product.status === "ARCHIVED" ? "ARCHIVE" : "DRAFT"),
+    ].filter(Boolean));
+
+    if (wanted) {
+      // Nothing to do until a later escalation step asks for more
+      const isApplied = appliedLevel && getMostRestrictive([appliedLevel, wanted]) === appliedLevel;
+      pending = isApplied ? [] : lowProductTargets;
+    } else if (!keepHidden && !keepStatus) {
+      const pushedIn = new Set(
+        pushSnapshots.map((s) => s.collectionId).filter((id) => !restoreCollectionIds.includes(id)),
+      );
+
+      // A removed product is no longer in the collection, so any REMOVE_FROM_COLLECTION
+      // target is one it hasn't been taken out of yet
+      pending = targets.filter((t) =>
+        t.collection &&
+        ((t.behavior === "PUSH_TO_END" && !pushedIn.has(t.collection.id)) || t.behavior === "REMOVE_FROM_COLLECTION") &&
+        isLowStock(stock, t.rule));
+    }
+  }
+
+  // Without stock, planOutOfStock acts whether or not the product is low
+  const planStock = alwaysHide ? null : stock;
+
+  if (report) {
+    const steps = planOutOfStock(shopRecord, pending.map((t) => t.collection).filter(Boolean), planStock, product, planBehaviors);
+    for (const step of steps) {
+      addToReport(report, product, step.collection, step.action, describeStep(shopRecord, step), step.matchedRule);
+    }
+    return { restored: [], applied: [], deferred: false };
+  }
+
+  let applied = [];
+  if (pending.length > 0) {
+    applied = await handleOutOfStock(admin, shopRecord, product.id, product.title, {
+      pushBatch,
+      stock: planStock,
+      collections: pending.map((t) => t.collection).filter(Boolean),
+      product,
+      behaviors: planBehaviors,
+    });
+  }
+
+  return { restored, applied, deferred: false };
+}
+
+/**
+ * Handle a product that is out of stock.
  * Applies the configured behavior per collection.
+ *
+ * Options:
+ * - collections: collections to act on (defaults to all of the product's collections)
+ * - stock: when given, collections where the stock isn't low under that
+ *   collection's low-stock rules are left alone, and log entries name the rule that fired
+ * - pushBatch: when given (from createPushBatch), PUSH_TO_END moves are queued
+ *   on it instead of being applied, and are applied by flushPushBatch
+ * - product: the product's attributes (see summarizeProduct), so product
+ *   rules apply; without it only collection rules and the default do
+ * - behaviors: the product's behavior per collection from resolveBehaviors,
+ *   when resolved over more collections than the ones acted on
+ *
+ * Every log entry records the rule that decided the action. Once anything
+ * is demoted, the product is marked with the shop's tag and metafield.
  */
-export async function handleOutOfStock(admin, shopRecord, productId, productTitle) {
-  const collections = await getProductCollections(admin, productId);
+export async function handleOutOfStock(admin, shopRecord, productId, productTitle, {
+  pushBatch,
+  stock,
+  collections,
+  product,
+  behaviors,
+} = {}) {
+  collections = collections ?? await getProductCollections(admin, productId);
   const results = [];
 
-  for (const collection of collections) {
-    const behavior = getEffectiveBehavior(shopRecord, collection.id);
+  for (const step of planOutOfStock(shopRecord, collections, stock, product, behaviors)) {
+    const { collection, action, firedRule, matchedRule } = step;
 
-    if (behavior === "EXCLUDE") {
-      await logActivity(shopRecord.id, productId, productTitle, "SKIPPED", `Excluded collection: ${collection.title}`);
+    if (action === "SKIPPED") {
+      await logActivity(shopRecord.id, productId, productTitle, "SKIPPED", describeStep(shopRecord, step), matchedRule);
       results.push({ collection: collection.title, action: "SKIPPED" });
       continue;
     }
 
-    if (behavior === "PUSH_TO_END") {
-      const result = await pushProductToEnd(admin, shopRecord.id, productId, collection.id);
+    if (action === "DEPRIORITIZED") {
+      if (pushBatch) {
+        queuePush(pushBatch, collection, productId, productTitle, firedRule, matchedRule);
+        results.push({ collection: collection.title, action: "QUEUED" });
+        continue;
+      }
+
+      const placement = getEffectivePlacement(shopRecord, collection.id);
+      const result = await pushProductToEnd(admin, shopRecord.id, productId, collection.id, placement, {
+        isInStock: await getInStockCheck(admin, shopRecord, collection.id, placement),
+      });
+      results.push(await logPushResult(shopRecord.id, productId, productTitle, collection, result, firedRule, matchedRule));
+      continue;
+    }
 
-      if (result.skipped) {
-        await logActivity(shopRecord.id, productId, productTitle, "SKIPPED", `${collection.title}: ${result.reason}`);
-        results.push({ collection: collection.title, action: "SKIPPED", reason: result.reason });
-      } else if (result.success) {
-        await logActivity(shopRecord.id, productId, productTitle, "DEPRIORITIZED", `Pushed to end of ${collection.title}`);
-        results.push({ collection: collection.title, action: "DEPRIORITIZED" });
+    if (action === "REMOVED_FROM_COLLECTION") {
+      const result = await removeProductFromCollection(admin, shopRecord.id, productId, collection.id);
+
+      if (result.success) {
+        let detail = describeStep(shopRecord, step);
+        if (result.pending) detail += " (remove job still running)";
+        await logActivity(shopRecord.id, productId, productTitle, "REMOVED_FROM_COLLECTION", detail, matchedRule);
+        results.push({ collection: collection.title, action: "REMOVED_FROM_COLLECTION" });
       } else {
-        await logActivity(shopRecord.id, productId, productTitle, "SKIPPED", `Failed in ${collection.title}: ${result.reason}`);
-        results.push({ collection: collection.title, action: "FAILED", reason: result.reason });
+        const detail = result.skipped
+          ? `${collection.title}: ${result.reason}`
+          : `Failed to remove from ${collection.title}: ${result.reason}`;
+        await logActivity(shopRecord.id, productId, productTitle, "SKIPPED", detail, matchedRule);
+        results.push({ collection: collection.title, action: result.skipped ? "SKIPPED" : "FAILED", reason: result.reason });
       }
       continue;
     }
 
-    if (behavior === "HIDE") {
-      const result = await hideProduct(admin, shopRecord.id, productId);
+    if (STATUS_BY_ACTION[action]) {
+      const result = await setProductStatus(admin, shopRecord.id, productId, STATUS_BY_ACTION[action]);
 
-      if (result.success) {
-        await logActivity(shopRecord.id, productId, productTitle, "HIDDEN", `Hidden from storefront`);
-        results.push({ collection: collection.title, action: "HIDDEN" });
+      if (result.success && !result.skipped) {
+        await logActivity(shopRecord.id, productId, productTitle, action, describeStep(shopRecord, step), matchedRule);
+        results.push({ collection: collection?.title, action });
       } else {
-        await logActivity(shopRecord.id, productId, productTitle, "SKIPPED", `Failed to hide: ${JSON.stringify(result.publications)}`);
+        const detail = result.skipped ? result.reason : `Failed to change status: ${result.reason}`;
+        await logActivity(shopRecord.id, productId, productTitle, "SKIPPED", detail, matchedRule);
+        results.push({ collection: collection?.title, action: result.skipped ? "SKIPPED" : "FAILED", reason: result.reason });
+      }
+      continue;
+    }
+
+    if (action === "HIDDEN") {
+      const result = await hideProduct(admin, shopRecord.id, productId, { publicationIds: step.publicationIds });
+
+      if (result.success && !result.publications) {
+        // Not published to any of the chosen channels, so nothing to hide
+        await logActivity(shopRecord.id, productId, productTitle, "SKIPPED", result.reason, matchedRule);
+        results.push({ collection: collection?.title, action: "SKIPPED" });
+      } else if (result.success) {
+        await logActivity(shopRecord.id, productId, productTitle, "HIDDEN", describeStep(shopRecord, step), matchedRule);
+        results.push({ collection: collection?.title, action: "HIDDEN" });
+      } else if (collection) {
+        await logActivity(shopRecord.id, productId, productTitle, "SKIPPED", `Failed to hide: ${JSON.stringify(result.publications)}`, matchedRule);
         results.push({ collection: collection.title, action: "FAILED" });
       }
-      // Only hide once (it's product-level, not collection-level)
-      break;
     }
   }
 
-  // If no collections but behavior is HIDE, still hide the product
-  if (collections.length === 0) {
-    const behavior = shopRecord.applyToAll ? shopRecord.defaultBehavior : "EXCLUDE";
-    if (behavior === "HIDE") {
-      const result = await hideProduct(admin, shopRecord.id, productId);
-      if (result.success) {
-        await logActivity(shopRecord.id, productId, productTitle, "HIDDEN", "Hidden from storefront (no collections)");
-        results.push({ action: "HIDDEN" });
-      }
+  if (results.some((r) => DEMOTED_ACTIONS.includes(r.action))) {
+    const result = await markProduct(admin, shopRecord, productId);
+    if (!result.success) {
+      await logActivity(shopRecord.id, productId, productTitle, "SKIPPED", `Failed to mark: ${result.reason}`);
+    } else if (result.tag || result.metafield) {
+      await logActivity(shopRecord.id, productId, productTitle, "MARKED", `Added ${describeMarks(result)}`);
     }
   }
 
   return results;
 }
 
+/**
+ * Decide what handleOutOfStock does in each collection, without doing it.
+ * Returns steps of { collection, action, firedRule, matchedRule } where action
+ * is SKIPPED (excluded collection), DEPRIORITIZED, REMOVED_FROM_COLLECTION,
+ * HIDDEN, DRAFTED or ARCHIVED, and matchedRule names the rule that chose it
+ * (see getMatchingRule). The last three act on the whole product, so there is
+ * at most one of them: the most restrictive. It has a null collection when the
+ * product isn't in any collection. A HIDDEN step also has `publicationIds`
+ * with the channels to unpublish from (null for all).
+ *
+ * Behaviors come from resolveBehaviors, so the shop's conflict policy decides
+ * between collections whose rules disagree, whatever order they come in.
+ */
+export function planOutOfStock(shopRecord, collections, stock, product, behaviors) {
+  behaviors = behaviors ?? resolveBehaviors(
+    shopRecord,
+    collections.length > 0 ? collections.map((c) => c.id) : [null],
+    product,
+  );
+  const steps = [];
+  // Only one product-level step, however many collections ask for one
+  let productStep = null;
+  const rank = (action) => Object.values(PRODUCT_LEVEL_ACTIONS).indexOf(action);
+
+  for (const collection of collections) {
+    const rule = getStockRule(shopRecord, collection.id);
+    const reason = stock ? getLowStockReason(stock, rule) : null;
+    if (stock && !reason) continue;
+
+    const firedRule = describeLowStockReason(reason, rule);
+    const { behavior, rule: matchedRule } = behaviors.get(collection.id)
+      ?? getMatchingRule(shopRecord, collection.id, product);
+
+    if (behavior === "EXCLUDE") {
+      steps.push({ collection, action: "SKIPPED", firedRule, matchedRule });
+    } else if (behavior === "PUSH_TO_END") {
+      steps.push({ collection, action: "DEPRIORITIZED", firedRule, matchedRule });
+    } else if (behavior === "REMOVE_FROM_COLLECTION") {
+      steps.push({ collection, action: "REMOVED_FROM_COLLECTION", firedRule, matchedRule });
+    } else if (PRODUCT_LEVEL_ACTIONS[behavior]) {
+      const action = PRODUCT_LEVEL_ACTIONS[behavior];
+      if (!productStep || rank(action) > rank(productStep.action)) {
+        productStep = { collection, action, firedRule, matchedRule };
+      }
+    }
+  }
+
+  // If no collections but the behavior is product-level, still apply it
+  if (collections.length === 0) {
+    const { behavior, rule: matchedRule } = behaviors.get(null) ?? getMatchingRule(shopRecord, null, product);
+    const rule = getStockRule(shopRecord, null);
+    const reason = stock ? getLowStockReason(stock, rule) : null;
+    if (PRODUCT_LEVEL_ACTIONS[behavior] && (!stock || reason)) {
+      productStep = {
+        collection: null,
+        action: PRODUCT_LEVEL_ACTIONS[behavior],
+        firedRule: describeLowStockReason(reason, rule),
+        matchedRule,
+      };
+    }
+  }
+
+  if (productStep?.action === "HIDDEN") {
+    productStep.publicationIds = collections.length > 0
+      ? getHidePublications(shopRecord, collections, product)
+      : getHidePublicationIds(shopRecord, null);
+  }
+  if (productStep) steps.push(productStep);
+
+  return steps;
+}
+
+/**
+ * Channels to hide a product from: every channel chosen by a collection whose
+ * own rule says HIDE, or null when one of them hides from all channels.
+ * When none does (e.g. HIDE won a conflict through a product rule), the shop
+ * setting applies.
+ */
+function getHidePublications(shopRecord, collections, product) {
+  const ids = new Set();
+  let found = false;
+
+  for (const collection of collections) {
+    if (getEffectiveBehavior(shopRecord, collection.id, product) !== "HIDE") continue;
+
+    const publicationIds = getHidePublicationIds(shopRecord, collection.id);
+    if (!publicationIds) return null;
+    publicationIds.forEach((id) => ids.add(id));
+    found = true;
+  }
+
+  return found ? [...ids] : getHidePublicationIds(shopRecord, null);
+}
+
+/**
+ * Activity log detail for a step from planOutOfStock.
+ */
+function describeStep(shopRecord, { collection, action, firedRule, publicationIds }) {
+  switch (action) {
+    case "SKIPPED":
+      return `Excluded collection: ${collection.title}`;
+    case "DEPRIORITIZED":
+      return withRule(
+        `${describePlacement(getEffectivePlacement(shopRecord, collection.id))} ${collection.title}`,
+        firedRule,
+      );
+    case "REMOVED_FROM_COLLECTION":
+      return withRule(`Removed from ${collection.title}`, firedRule);
+    case "DRAFTED":
+      return withRule(collection ? "Set to draft" : "Set to draft (no collections)", firedRule);
+    case "ARCHIVED":
+      return withRule(collection ? "Archived" : "Archived (no collections)", firedRule);
+    default: {
+      const hidden = publicationIds ? "Hidden from selected sales channels" : "Hidden from storefront";
+      return withRule(collection ? hidden : `${hidden} (no collections)`, firedRule);
+    }
+  }
+}
+
 /**
  * Handle a product that is back in stock.
- * Restores all active snapshots (positions and visibility).
+ * Restores all active snapshots (positions, collection memberships,
+ * visibility and status), or only the collections in `collectionIds`, and
+ * visibility and status unless `keepHidden` or `keepStatus` is set. With
+ * `product` (see handleOutOfStock) log entries record the product rule that
+ * now applies, if any. Once nothing is demoted any more, the product's marks
+ * are removed too.
  */
-export async function handleBackInStock(admin, shopRecord, productId, productTitle) {
+export async function handleBackInStock(admin, shopRecord, productId, productTitle, {
+  collectionIds,
+  keepHidden = false,
+  keepStatus = false,
+  product,
+} = {}) {
   const results = [];
 
-  // Restore all PUSHED_TO_END snapshots
+  // Undo in reverse order of how demotions are applied (escalation goes
+  // push or remove, then hide, then draft or archive)
+  if (!keepStatus) {
+    const statusResult = await restoreProductStatus(admin, shopRecord.id, productId);
+    if (statusResult.restoredStatus || !statusResult.success) {
+      const detail = statusResult.success
+        ? `Status set back to ${statusResult.restoredStatus}`
+        : `Failed to restore status: ${statusResult.reason}`;
+      await logActivity(shopRecord.id, productId, productTitle, "RESTORED_STATUS", detail,
+        getMatchingRule(shopRecord, null, product).rule);
+      results.push({ action: "RESTORED_STATUS", success: statusResult.success });
+    }
+  }
+
+  // Restore all HIDDEN snapshots
+  if (!keepHidden) {
+    const restoreResult = await restoreProductVisibility(admin, shopRecord.id, productId);
+    if (restoreResult.publications?.length > 0) {
+      await logActivity(shopRecord.id, productId, productTitle, "RESTORED_VISIBILITY",
+        `Re-published to ${restoreResult.publications.length} channel(s)`, getMatchingRule(shopRecord, null, product).rule);
+      results.push({ action: "RESTORED_VISIBILITY", success: restoreResult.success });
+    }
+  }
+
+  // Restore PUSHED_TO_END snapshots
   const pushSnapshots = await db.productSnapshot.findMany({
     where: {
       shopId: shopRecord.id,
       productId,
       action: "PUSHED_TO_END",
       status: "ACTIVE",
+      ...(collectionIds ? { collectionId: { in: collectionIds } } : {}),
     },
   });
 
   for (const snapshot of pushSnapshots) {
     const result = await restoreProductPosition(admin, shopRecord.id, productId, snapshot.collectionId);
-    await logActivity(shopRecord.id, productId, productTitle, "RESTORED_POSITION",
-      result.success ? `Restored in collection` : `Failed to restore: ${result.reason}`);
+    let detail = result.success ? `Restored in collection` : `Failed to restore: ${result.reason}`;
+    if (result.restoredSortOrder) detail += ` (sort order switched back to ${result.restoredSortOrder})`;
+    await logActivity(shopRecord.id, productId, productTitle, "RESTORED_POSITION", detail,
+      getMatchingRule(shopRecord, snapshot.collectionId, product).rule);
     results.push({ action: "RESTORED_POSITION", success: result.success });
   }
 
-  // Restore all HIDDEN snapshots
-  const restoreResult = await restoreProductVisibility(admin, shopRecord.id, productId);
-  if (restoreResult.publications?.length > 0) {
-    await logActivity(shopRecord.id, productId, productTitle, "RESTORED_VISIBILITY",
-      `Re-published to ${restoreResult.publications.length} channel(s)`);
-    results.push({ action: "RESTORED_VISIBILITY", success: restoreResult.success });
+  // Add products back to collections they were removed from
+  const removedSnapshots = await db.productSnapshot.findMany({
+    where: {
+      shopId: shopRecord.id,
+      productId,
+      action: "REMOVED_FROM_COLLECTION",
+      status: "ACTIVE",
+      ...(collectionIds ? { collectionId: { in: collectionIds } } : {}),
+    },
+  });
+
+  for (const snapshot of removedSnapshots) {
+    const result = await restoreProductToCollection(admin, shopRecord.id, productId, snapshot.collectionId);
+    const detail = result.success ? "Added back to collection" : `Failed to add back: ${result.reason}`;
+    await logActivity(shopRecord.id, productId, productTitle, "RESTORED_TO_COLLECTION", detail,
+      getMatchingRule(shopRecord, snapshot.collectionId, product).rule);
+    results.push({ action: "RESTORED_TO_COLLECTION", success: result.success });
   }
 
+  await unmarkIfRestored(admin, shopRecord, productId, productTitle);
+
   return results;
 }
 
+/**
+ * Remove a product's marks (see unmarkProduct) once it has no demotions left.
+ */
+async function unmarkIfRestored(admin, shopRecord, productId, productTitle) {
+  const demotions = await db.productSnapshot.count({
+    where: { shopId: shopRecord.id, productId, action: { notIn: MARK_ACTIONS }, status: "ACTIVE" },
+  });
+  if (demotions > 0) return;
+
+  const result = await unmarkProduct(admin, shopRecord.id, productId);
+  if (!result.success) {
+    await logActivity(shopRecord.id, productId, productTitle, "SKIPPED", `Failed to unmark: ${result.reason}`);
+  } else if (result.tag || result.metafield) {
+    await logActivity(shopRecord.id, productId, productTitle, "UNMARKED", `Removed ${describeMarks(result)}`);
+  }
+}
+
 /**
  * Run a full sync of all products in the shop.
- * Iterates every product, checks inventory, applies rules.
+ * Iterates every product, checks inventory, applies rules. Large catalogs are
+ * read with a bulk operation instead of page by page.
+ *
+ * With a SyncRun record as `run`, progress (counts, errors and a cursor) is
+ * saved to it as the sync goes, and a run that was interrupted carries on
+ * from its saved cursor.
+ *
+ * With `preview`, nothing is changed: the result's `report` lists what the
+ * sync would do (see evaluateProduct). Previews also run while the app is
+ * disabled. A preview run saves its report with its progress.
+ *
+ * Returns { synced, message, counts } (plus `report` for previews).
  */
-export async function runFullSync(admin, shopDomain) {
+export async function runFullSync(admin, shopDomain, { preview = false, run } = {}) {
   const shopRecord = await getOrCreateShop(shopDomain);
-  if (!shopRecord.enabled) return { synced: 0, message: "App is disabled" };
+  if (!shopRecord.enabled && !preview) return { synced: 0, message: "App is disabled" };
+
+  const report = preview ? JSON.parse(run?.report ?? "[]") : undefined;
+  const counts = createSyncCounts(run);
+  const pushBatch = createPushBatch();
+  const locationIds = getStockLocationIds(shopRecord);
+
+  // A resumed run keeps the mode it started with, so its cursor still fits
+  let mode = run?.mode;
+  if (!mode) {
+    const total = await getProductCount(admin);
+    mode = total > BULK_SYNC_PRODUCT_THRESHOLD ? "BULK" : "PAGED";
+    if (run) await db.syncRun.update({ where: { id: run.id }, data: { mode, total } });
+  }
+
+  const products = mode === "BULK"
+    ? streamBulkProducts(admin, { locationIds, after: run?.cursor })
+    : pageProducts(admin, { locationIds, after: run?.cursor });
+
+  // Load every active snapshot up front instead of querying once per product
+  const snapshotsByProduct = new Map();
+  const activeSnapshots = await db.productSnapshot.findMany({
+    where: { shopId: shopRecord.id, status: "ACTIVE" },
+  });
+  for (const snapshot of activeSnapshots) {
+    if (!snapshotsByProduct.has(snapshot.productId)) snapshotsByProduct.set(snapshot.productId, []);
+    snapshotsByProduct.get(snapshot.productId).push(snapshot);
+  }
+
+  for await (const { product, stock, collections, checkpoint } of products) {
+    try {
+      // Scheduled syncs can run while stock is being moved, so they wait out the grace period too
+      const { restored, applied, deferred } = await evaluateProduct(admin, shopRecord, product, stock, {
+        pushBatch,
+        deferDemotion: true,
+        activeSnapshots: snapshotsByProduct.get(product.id) || [],
+        collections,
+        report,
+      });
+      countResults(counts, [...restored, ...applied]);
+      if (deferred) counts.skipped++;
+    } catch (error) {
+      // One failing product shouldn't stop the rest of the sync
+      console.error(`Full sync failed for ${product.title}:`, error);
+      counts.failed++;
+      if (counts.errors.length < MAX_SYNC_ERRORS) counts.errors.push(`${product.title}: ${error.message}`);
+    }
+
+    counts.processed++;
+
+    // Everything up to the checkpoint is done once the queued pushes are applied
+    if (run && checkpoint) {
+      countResults(counts, await flushPushBatch(admin, shopRecord, pushBatch));
+      await saveSyncProgress(run, counts, checkpoint, report);
+    }
+  }
+
+  if (preview) {
+    if (run) await saveSyncProgress(run, counts, null, report);
+    return {
+      synced: counts.processed,
+      message: `Previewed ${counts.processed} products`,
+      counts,
+      report,
+    };
+  }
+
+  // Apply all queued pushes, one reorder job per collection
+  countResults(counts, await flushPushBatch(admin, shopRecord, pushBatch));
+  if (run) await saveSyncProgress(run, counts, null);
+
+  await db.shop.update({
+    where: { id: shopRecord.id },
+    data: { lastSyncAt: new Date() },
+  });
+
+  return {
+    synced: counts.processed,
+    message: `Processed ${counts.processed} products${mode === "BULK" ? " (bulk operation)" : ""}`,
+    counts,
+  };
+}
+
+/**
+ * Per-outcome counts for a full sync, carried on from `run` when resuming.
+ */
+export function createSyncCounts(run) {
+  return {
+    processed: run?.processed ?? 0,
+    deprioritized: run?.deprioritized ?? 0,
+    hidden: run?.hidden ?? 0,
+    removed: run?.removed ?? 0,
+    restored: run?.restored ?? 0,
+    skipped: run?.skipped ?? 0,
+    failed: run?.failed ?? 0,
+    errors: run?.errors ? JSON.parse(run.errors) : [],
+  };
+}
+
+/**
+ * Add the results of evaluateProduct or flushPushBatch to the counts.
+ * Queued pushes are counted once their batch is applied.
+ */
+export function countResults(counts, results) {
+  for (const { action } of results) {
+    if (action === "DEPRIORITIZED") counts.deprioritized++;
+    // Drafting and archiving take the product off the storefront too
+    else if (action === "HIDDEN" || action === "DRAFTED" || action === "ARCHIVED") counts.hidden++;
+    else if (action === "REMOVED_FROM_COLLECTION") counts.removed++;
+    else if (action.startsWith("RESTORED_")) counts.restored++;
+    else if (action === "SKIPPED") counts.skipped++;
+    else if (action === "FAILED") counts.failed++;
+  }
+}
+
+async function saveSyncProgress(run, counts, cursor, report) {
+  const { errors, ...totals } = counts;
+  await db.syncRun.update({
+    where: { id: run.id },
+    data: {
+      ...totals,
+      errors: errors.length > 0 ? JSON.stringify(errors) : null,
+      ...(cursor ? { cursor } : {}),
+      ...(report ? { report: JSON.stringify(report) } : {}),
+      heartbeatAt: new Date(),
+    },
+  });
+}
 
-  let cursor = null;
+/**
+ * Page through every product 50 at a time and yield them one at a time as
+ * { product, stock, checkpoint }. The last product of each page carries the
+ * page's end cursor as `checkpoint`; passing it back as `after` continues with
+ * the next page. When `locationIds` is given, only stock at those locations counts.
+ */
+async function* pageProducts(admin, { locationIds, after } = {}) {
+  let cursor = after ?? null;
   let hasNext = true;
-  let processed = 0;
 
   while (hasNext) {
-    const response = await admin.graphql(`
+    const data = await admin.graphql(`
       query getProducts($cursor: String) {
         products(first: 50, after: $cursor) {
           pageInfo {
@@ -125,11 +798,32 @@ export async function runFullSync(admin, shopDomain) {
           nodes {
             id
             title
+            status
             totalInventory
+            tags
+            vendor
+            productType
+            priceRangeV2 {
+              minVariantPrice {
+                amount
+              }
+            }
+            metafield(namespace: "tidyshelf", key: "behavior") {
+              value
+            }
             variants(first: 100) {
               nodes {
                 id
                 inventoryQuantity
+                inventoryPolicy
+                inventoryItem {
+                  id
+                  tracked
+                }
+                selectedOptions {
+                  name
+                  value
+                }
               }
             }
           }
@@ -139,73 +833,221 @@ export async function runFullSync(admin, shopDomain) {
       variables: { cursor },
     });
 
-    const data = await response.json();
     const connection = data.data?.products;
     if (!connection) break;
 
-    for (const product of connection.nodes) {
-      const variants = product.variants?.nodes || [];
-      const isFullyOutOfStock = variants.length > 0 &&
-        variants.every((v) => v.inventoryQuantity <= 0);
-
-      // Check for existing active snapshots
-      const activeSnapshots = await db.productSnapshot.findMany({
-        where: {
-          shopId: shopRecord.id,
-          productId: product.id,
-          status: "ACTIVE",
-        },
-      });
+    // Only count stock at the selected locations
+    const quantities = locationIds
+      ? await getLocationQuantities(
+        admin,
+        connection.nodes.flatMap((p) => (p.variants?.nodes || []).map((v) => v.inventoryItem?.id)).filter(Boolean),
+        locationIds,
+      )
+      : null;
 
-      if (isFullyOutOfStock) {
-        if (activeSnapshots.length === 0) {
-          // No snapshots - apply behavior
-          await handleOutOfStock(admin, shopRecord, product.id, product.title);
-        } else {
-          // Has snapshots - check if behavior changed
-          const collections = await getProductCollections(admin, product.id);
-          const currentBehaviors = new Set(
-            collections.map(c => getEffectiveBehavior(shopRecord, c.id))
-          );
-          // Also check default behavior for products with no collections
-          if (collections.length === 0 && shopRecord.applyToAll) {
-            currentBehaviors.add(shopRecord.defaultBehavior);
-          }
+    for (const [index, product] of connection.nodes.entries()) {
+      yield {
+        product: summarizeProduct(product),
+        stock: summarizeStock(product.variants?.nodes || [], quantities),
+        checkpoint: index === connection.nodes.length - 1 ? connection.pageInfo.endCursor : undefined,
+      };
+    }
 
-          const snapshotActions = new Set(activeSnapshots.map(s => s.action));
-
-          // Map behaviors to actions
-          const behaviorNeedsHide = currentBehaviors.has("HIDE");
-          const behaviorNeedsPush = currentBehaviors.has("PUSH_TO_END");
-          const hasHiddenSnapshot = snapshotActions.has("HIDDEN");
-          const hasPushedSnapshot = snapshotActions.has("PUSHED_TO_END");
-
-          // If current behavior differs from snapshot action, restore and re-apply
-          if (behaviorNeedsHide && !hasHiddenSnapshot) {
-            // Restore pushed snapshots first
-            await handleBackInStock(admin, shopRecord, product.id, product.title);
-            // Then apply hide
-            await handleOutOfStock(admin, shopRecord, product.id, product.title);
-          } else if (behaviorNeedsPush && !hasPushedSnapshot) {
-            // Restore hidden snapshots first
-            await handleBackInStock(admin, shopRecord, product.id, product.title);
-            // Then apply push
-            await handleOutOfStock(admin, shopRecord, product.id, product.title);
-          }
-          // else: behavior matches snapshot, no action needed
-        }
-      } else if (!isFullyOutOfStock && activeSnapshots.length > 0) {
-        await handleBackInStock(admin, shopRecord, product.id, product.title);
+    hasNext = connection.pageInfo.hasNextPage;
+    cursor = connection.pageInfo.endCursor;
+  }
+}
+
+/**
+ * Apply the pending demotions whose grace period is over. Each product's stock
+ * is checked again first, so products that restocked are simply dropped.
+ */
+export async function runPendingDemotions(admin, shopDomain) {
+  const shopRecord = await getOrCreateShop(shopDomain);
+  const due = await db.pendingProduct.findMany({
+    where: { shopId: shopRecord.id, dueAt: { lte: new Date() } },
+    orderBy: { dueAt: "asc" },
+  });
+
+  const locationIds = getStockLocationIds(shopRecord);
+  let processed = 0;
+
+  for (const entry of due) {
+    if (shopRecord.enabled) {
+      const result = await getProductStock(admin, entry.productId, { locationIds });
+      if (result) {
+        await evaluateProduct(admin, shopRecord, result.product, result.stock);
+        processed++;
       }
+    }
 
-      processed++;
+    await db.pendingProduct.deleteMany({ where: { id: entry.id } });
+  }
+
+  return { synced: processed, message: `Processed ${processed} pending products` };
+}
+
+/**
+ * Products that have reached a step of an escalation ladder since `since`
+ * (or ever, without it), counted from their first demotion still in place.
+ * Each needs evaluateProduct to move it up the ladder.
+ */
+export async function findDueEscalations(shopRecord, since, now = new Date()) {
+  const durations = getEscalationDurations(shopRecord);
+  if (durations.length === 0) return [];
+
+  const demoted = await db.productSnapshot.groupBy({
+    by: ["productId"],
+    where: { shopId: shopRecord.id, status: "ACTIVE", action: { notIn: MARK_ACTIONS } },
+    _min: { createdAt: true },
+  });
+
+  return demoted
+    .filter(({ _min }) => durations.some((days) => {
+      const dueAt = _min.createdAt.getTime() + days * 24 * 60 * 60 * 1000;
+      return dueAt <= now.getTime() && (!since || dueAt > since.getTime());
+    }))
+    .map(({ productId }) => productId);
+}
+
+/**
+ * Whether a product's first demotion should wait. Starts the grace period the
+ * first time the product is seen low on stock (unless `start` is false, e.g.
+ * for previews); returns false once it is over.
+ */
+async function isDemotionPending(shopRecord, product, { start = true } = {}) {
+  if (!shopRecord.gracePeriodMinutes) return false;
+
+  const existing = await db.pendingProduct.findUnique({
+    where: { shopId_productId: { shopId: shopRecord.id, productId: product.id } },
+  });
+  if (existing) return existing.dueAt > new Date();
+  if (!start) return true;
+
+  await db.pendingProduct.create({
+    data: {
+      shopId: shopRecord.id,
+      productId: product.id,
+      productTitle: product.title,
+      dueAt: new Date(Date.now() + shopRecord.gracePeriodMinutes * 60 * 1000),
+    },
+  });
+  return true;
+}
+
+/**
+ * Drop a product's pending demotion, if it has one.
+ */
+async function cancelPendingDemotion(shopRecord, productId) {
+  await db.pendingProduct.deleteMany({
+    where: { shopId: shopRecord.id, productId },
+  });
+}
+
+/**
+ * Create an empty batch of PUSH_TO_END moves, grouped by collection.
+ */
+function createPushBatch() {
+  return new Map();
+}
+
+/**
+ * Apply every queued push with one reorder job per collection and log the results.
+ */
+async function flushPushBatch(admin, shopRecord, pushBatch) {
+  const results = [];
+
+  for (const { collection, products } of pushBatch.values()) {
+    const placement = getEffectivePlacement(shopRecord, collection.id);
+    const pushResults = await pushProductsToEnd(
+      admin,
+      shopRecord.id,
+      products.map((p) => p.id),
+      collection.id,
+      placement,
+      { isInStock: await getInStockCheck(admin, shopRecord, collection.id, placement) },
+    );
+
+    for (let i = 0; i < products.length; i++) {
+      const { id, title, firedRule, matchedRule } = products[i];
+      results.push(await logPushResult(shopRecord.id, id, title, collection, pushResults[i], firedRule, matchedRule));
     }
+  }
 
-    hasNext = connection.pageInfo.hasNextPage;
-    cursor = connection.pageInfo.endCursor;
+  pushBatch.clear();
+  return results;
+}
+
+/**
+ * For AFTER_IN_STOCK placement, tell which products in a collection are in
+ * stock under the same rules evaluateProduct uses: the counted locations, the
+ * collection's low-stock rule and overselling. Other placements don't need it.
+ */
+async function getInStockCheck(admin, shopRecord, collectionId, placement) {
+  if (placement.placement !== "AFTER_IN_STOCK") return undefined;
+
+  const stockById = await getCollectionStock(admin, collectionId, {
+    locationIds: getStockLocationIds(shopRecord),
+  });
+  const rule = getStockRule(shopRecord, collectionId);
+  return (productId) => stockById.has(productId) && !isLowStock(stockById.get(productId), rule);
+}
+
+function queuePush(pushBatch, collection, productId, productTitle, firedRule, matchedRule) {
+  if (!pushBatch.has(collection.id)) {
+    pushBatch.set(collection.id, { collection, products: [] });
+  }
+  pushBatch.get(collection.id).products.push({ id: productId, title: productTitle, firedRule, matchedRule });
+}
+
+/**
+ * Log the outcome of pushing a product to the end of a collection.
+ */
+async function logPushResult(shopId, productId, productTitle, collection, result, firedRule, matchedRule) {
+  if (result.skipped) {
+    await logActivity(shopId, productId, productTitle, "SKIPPED", `${collection.title}: ${result.reason}`, matchedRule);
+    return { collection: collection.title, action: "SKIPPED", reason: result.reason };
+  }
+
+  if (result.success) {
+    let detail = `${describePlacement(result.placement)} ${collection.title}`;
+    if (result.switchedFrom) detail += ` (switched from ${result.switchedFrom} to MANUAL sort)`;
+    if (result.pending) detail += " (reorder job still running)";
+    await logActivity(shopId, productId, productTitle, "DEPRIORITIZED", withRule(detail, firedRule), matchedRule);
+    return { collection: collection.title, action: "DEPRIORITIZED" };
   }
 
-  return { synced: processed, message: `Processed ${processed} products` };
+  await logActivity(shopId, productId, productTitle, "SKIPPED", `Failed in ${collection.title}: ${result.reason}`, matchedRule);
+  return { collection: collection.title, action: "FAILED", reason: result.reason };
+}
+
+function addToReport(report, product, collection, action, detail, rule = null) {
+  report.push({
+    productId: product.id,
+    productTitle: product.title,
+    collection: collection?.title ?? null,
+    action,
+    detail,
+    rule,
+  });
+}
+
+/**
+ * Append the low-stock rule that fired to an activity log detail.
+ */
+function withRule(detail, firedRule) {
+  return firedRule ? `${detail} — rule: ${firedRule}` : detail;
+}
+
+function describePlacement(placement) {
+  switch (placement?.placement) {
+    case "AFTER_IN_STOCK":
+      return "Pushed below in-stock products in";
+    case "OFFSET":
+      return `Pushed ${placement.placementOffset} positions down in`;
+    default:
+      return "Pushed to end of";
+  }
 }
 
 /**
@@ -241,10 +1083,9 @@ export async function restoreAllHidden(admin, shopDomain) {
     // Get product title for logging
     let title = productId;
     try {
-      const resp = await admin.graphql(`query ($id: ID!) { product(id: $id) { title } }`, {
+      const d = await admin.graphql(`query ($id: ID!) { product(id: $id) { title } }`, {
         variables: { id: productId },
       });
-      const d = await resp.json();
       title = d.data?.product?.title || productId;
     } catch {}
 
@@ -252,16 +1093,172 @@ export async function restoreAllHidden(admin, shopDomain) {
       await logActivity(shopRecord.id, productId, title, "RESTORED_VISIBILITY",
         `Re-published to ${result.publications.length} channel(s)`);
     }
+    await unmarkIfRestored(admin, shopRecord, productId, title);
     restored++;
   }
 
   return { synced: restored, message: `Restored ${restored} hidden products` };
 }
 
+// Snapshot actions whose live state can drift (see reconcileSnapshots)
+const DRIFT_ACTIONS = ["HIDDEN", "PUSHED_TO_END", "REMOVED_FROM_COLLECTION", "STATUS_CHANGED"];
+
+/**
+ * Compare every active HIDDEN, PUSHED_TO_END, REMOVED_FROM_COLLECTION and
+ * STATUS_CHANGED snapshot with the live store (see findVisibilityDrift,
+ * findCollectionDrift and findStatusDrift) and flag the ones a merchant has changed by hand, for
+ * the dashboard. Snapshots that match again are unflagged.
+ * Returns { checked, drifted } with the number of snapshots checked and flagged.
+ */
+export async function reconcileSnapshots(admin, shopDomain) {
+  const shopRecord = await getOrCreateShop(shopDomain);
+
+  const snapshots = await db.productSnapshot.findMany({
+    where: { shopId: shopRecord.id, action: { in: DRIFT_ACTIONS }, status: "ACTIVE", adoptedAt: null },
+    select: { productId: true, collectionId: true, action: true },
+  });
+
+  // One query per collection and per hidden product, not per snapshot
+  const isCollectionAction = (action) => action === "PUSHED_TO_END" || action === "REMOVED_FROM_COLLECTION";
+  const collectionIds = new Set(snapshots.filter((s) => isCollectionAction(s.action)).map((s) => s.collectionId));
+  const hiddenProductIds = new Set(snapshots.filter((s) => s.action === "HIDDEN").map((s) => s.productId));
+  const statusProductIds = snapshots.filter((s) => s.action === "STATUS_CHANGED").map((s) => s.productId);
+
+  const results = [];
+  for (const collectionId of collectionIds) {
+    results.push(...await findCollectionDrift(admin, shopRecord.id, collectionId));
+  }
+  for (const productId of hiddenProductIds) {
+    results.push(...await findVisibilityDrift(admin, shopRecord.id, productId));
+  }
+  for (const productId of statusProductIds) {
+    results.push(...await findStatusDrift(admin, shopRecord.id, productId));
+  }
+
+  const now = new Date();
+  let drifted = 0;
+  for (const { snapshot, drift } of results) {
+    if (drift) drifted++;
+    if (drift === snapshot.driftDetail) continue;
+
+    await db.productSnapshot.update({
+      where: { id: snapshot.id },
+      data: { driftDetail: drift, driftDetectedAt: drift ? now : null },
+    });
+  }
+
+  return { checked: results.length, drifted };
+}
+
+/**
+ * Active snapshots flagged by reconcileSnapshots, newest first, as
+ * { id, productId, productTitle, action, appliedStatus, detail, detectedAt }.
+ * Titles come from the activity log, since snapshots don't store them.
+ */
+export async function getDriftedSnapshots(shopId) {
+  const snapshots = await db.productSnapshot.findMany({
+    where: { shopId, status: "ACTIVE", adoptedAt: null, driftDetectedAt: { not: null } },
+    orderBy: { driftDetectedAt: "desc" },
+  });
+
+  const logs = await db.activityLog.findMany({
+    where: { shopId, productId: { in: snapshots.map((s) => s.productId) } },
+    orderBy: { createdAt: "desc" },
+    distinct: ["productId"],
+    select: { productId: true, productTitle: true },
+  });
+  const titles = new Map(logs.map((log) => [log.productId, log.productTitle]));
+
+  return snapshots.map((s) => ({
+    id: s.id,
+    productId: s.productId,
+    productTitle: titles.get(s.productId) ?? s.productId,
+    action: s.action,
+    appliedStatus: s.appliedStatus,
+    detail: s.driftDetail,
+    detectedAt: s.driftDetectedAt,
+  }));
+}
+
+/**
+ * Accept a change the merchant made by hand. The snapshot stays active, so
+ * the product isn't demoted again while it is out of stock, but restoring it
+ * leaves the store as it is (see restoreProductPosition,
+ * restoreProductToCollection, restoreProductVisibility and restoreProductStatus).
+ */
+export async function adoptDrift(shopId, snapshotId, productTitle) {
+  const snapshot = await db.productSnapshot.findFirst({
+    where: { id: snapshotId, shopId, status: "ACTIVE", adoptedAt: null },
+  });
+  if (!snapshot) return { error: "This change was already handled" };
+
+  await db.productSnapshot.update({
+    where: { id: snapshot.id },
+    data: { adoptedAt: new Date(), driftDetectedAt: null },
+  });
+  await logActivity(shopId, snapshot.productId, productTitle, "DRIFT_ADOPTED", `Kept manual change: ${snapshot.driftDetail}`);
+
+  return { success: true, message: "Manual change kept" };
+}
+
+/**
+ * Undo a change the merchant made by hand and put TidyShelf's state back:
+ * unpublish the product again, push it down again, take it out of the
+ * collection again or set its status back. The snapshot keeps its original
+ * position and status. A collection whose sort order was changed by hand goes
+ * back to that sort order, not the earlier one, once its products restock.
+ */
+export async function reapplyDrift(admin, shopDomain, snapshotId, productTitle) {
+  const shopRecord = await getOrCreateShop(shopDomain);
+  const snapshot = await db.productSnapshot.findFirst({
+    where: { id: snapshotId, shopId: shopRecord.id, status: "ACTIVE", adoptedAt: null },
+  });
+  if (!snapshot) return { error: "This change was already handled" };
+
+  const { productId, collectionId } = snapshot;
+  let result;
+  if (snapshot.action === "HIDDEN") {
+    result = await hideProduct(admin, shopRecord.id, productId, { publicationIds: [snapshot.publicationId] });
+  } else if (snapshot.action === "PUSHED_TO_END") {
+    const placement = getEffectivePlacement(shopRecord, collectionId);
+    result = await pushProductToEnd(admin, shopRecord.id, productId, collectionId, placement, {
+      isInStock: await getInStockCheck(admin, shopRecord, collectionId, placement),
+    });
+  } else if (snapshot.action === "STATUS_CHANGED") {
+    result = await setProductStatus(admin, shopRecord.id, productId, snapshot.appliedStatus ?? "DRAFT");
+  } else {
+    result = await removeProductFromCollection(admin, shopRecord.id, productId, collectionId);
+  }
+
+  if (!result.success) {
+    return { error: `Could not re-apply: ${result.reason || "Shopify rejected the change"}` };
+  }
+
+  await db.productSnapshot.update({
+    where: { id: snapshot.id },
+    data: { driftDetail: null, driftDetectedAt: null },
+  });
+  await logActivity(shopRecord.id, productId, productTitle, "DRIFT_REAPPLIED", `Undid manual change: ${snapshot.driftDetail}`);
+
+  return { success: true, message: "TidyShelf's change re-applied" };
+}
+
+/**
+ * Whether the product's latest activity log entry is already this one.
+ */
+async function isLatestActivity(shopId, productId, action, detail) {
+  const latest = await db.activityLog.findFirst({
+    where: { shopId, productId },
+    orderBy: { createdAt: "desc" },
+    select: { action: true, detail: true },
+  });
+  return latest?.action === action && latest.detail === detail;
+}
+
 /**
- * Log an activity event.
+ * Log an activity event, with the rule that decided it when there is one.
  */
-async function logActivity(shopId, productId, productTitle, action, detail) {
+async function logActivity(shopId, productId, productTitle, action, detail, rule = null) {
   try {
     await db.activityLog.create({
       data: {
@@ -270,6 +1267,7 @@ async function logActivity(shopId, productId, productTitle, action, detail) {
         productTitle,
         action,
         detail,
+        rule,
       },
     });
   } catch (error) {
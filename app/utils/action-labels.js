@@ -0,0 +1,22 @@
+/**
+ * The label shown for an activity log or sync preview action.
+ */
+export function formatAction(action) {
+  const labels = {
+    DEPRIORITIZED: "Deprioritized",
+    HIDDEN: "Hidden",
+    MARKED: "Marked",
+    DRAFTED: "Set to Draft",
+    DRIFT_ADOPTED: "Kept Manual Change",
+    DRIFT_REAPPLIED: "Re-applied",
+    ARCHIVED: "Archived",
+    REMOVED_FROM_COLLECTION: "Removed from Collection",
+    RESTORED_POSITION: "Restored Position",
+    RESTORED_STATUS: "Restored Status",
+    RESTORED_TO_COLLECTION: "Restored to Collection",
+    RESTORED_VISIBILITY: "Restored Visibility",
+    SKIPPED: "Skipped",
+    UNMARKED: "Unmarked",
+  };
+  return labels[action] || action;
+}
@@ -0,0 +1,13 @@
+/**
+ * Turn a sync preview report (see evaluateProduct) into a CSV file, one row
+ * per entry. `formatAction` turns an action into the label shown for it.
+ */
+export function toCsv(report, formatAction = (action) => action) {
+  const quote = (value) => `"${String(value ?? "").replace(/"/g, '""')}"`;
+  const rows = report.map((entry) =>
+    [entry.productId, entry.productTitle, entry.collection, formatAction(entry.action), entry.detail, entry.rule]
+      .map(quote)
+      .join(","),
+  );
+  return ["Product ID,Product,Collection,Action,Reason,Rule", ...rows].join("\n");
+}
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "ProductSnapshot" ADD COLUMN "nextProductId" TEXT;
+ALTER TABLE "ProductSnapshot" ADD COLUMN "previousProductId" TEXT;
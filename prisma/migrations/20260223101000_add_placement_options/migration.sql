@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "CollectionRule" ADD COLUMN "placement" TEXT;
+ALTER TABLE "CollectionRule" ADD COLUMN "placementOffset" INTEGER;
+ALTER TABLE "CollectionRule" ADD COLUMN "soldOutOrder" TEXT;
+
+-- AlterTable
+ALTER TABLE "Shop" ADD COLUMN "placement" TEXT NOT NULL DEFAULT 'END';
+ALTER TABLE "Shop" ADD COLUMN "placementOffset" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "Shop" ADD COLUMN "soldOutOrder" TEXT NOT NULL DEFAULT 'OLDEST_FIRST';
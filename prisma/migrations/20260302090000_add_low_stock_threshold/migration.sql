@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "CollectionRule" ADD COLUMN "lowStockThreshold" INTEGER;
+
+-- AlterTable
+ALTER TABLE "Shop" ADD COLUMN "lowStockMode" TEXT NOT NULL DEFAULT 'EACH_VARIANT';
+ALTER TABLE "Shop" ADD COLUMN "lowStockThreshold" INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE "Shop" ADD COLUMN "restockBuffer" INTEGER NOT NULL DEFAULT 0;
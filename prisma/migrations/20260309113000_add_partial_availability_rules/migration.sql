@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "CollectionRule" ADD COLUMN "coreOptionValues" TEXT;
+ALTER TABLE "CollectionRule" ADD COLUMN "soldOutPercent" INTEGER;
+
+-- AlterTable
+ALTER TABLE "Shop" ADD COLUMN "coreOptionValues" TEXT;
+ALTER TABLE "Shop" ADD COLUMN "soldOutPercent" INTEGER;
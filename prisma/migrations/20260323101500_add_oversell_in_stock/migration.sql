@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Shop" ADD COLUMN "oversellInStock" BOOLEAN NOT NULL DEFAULT true;
@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "Shop" ADD COLUMN "gracePeriodMinutes" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "PendingProduct" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shopId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "productTitle" TEXT,
+    "dueAt" DATETIME NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "PendingProduct_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PendingProduct_shopId_productId_key" ON "PendingProduct"("shopId", "productId");
+
+-- CreateIndex
+CREATE INDEX "PendingProduct_dueAt_idx" ON "PendingProduct"("dueAt");
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "Shop" ADD COLUMN "lastSyncAt" DATETIME;
+ALTER TABLE "Shop" ADD COLUMN "nextSyncAt" DATETIME;
+ALTER TABLE "Shop" ADD COLUMN "syncSchedule" TEXT NOT NULL DEFAULT 'OFF';
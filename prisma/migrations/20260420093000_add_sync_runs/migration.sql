@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "SyncRun" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shopId" TEXT NOT NULL,
+    "trigger" TEXT NOT NULL DEFAULT 'MANUAL',
+    "status" TEXT NOT NULL DEFAULT 'RUNNING',
+    "mode" TEXT,
+    "cursor" TEXT,
+    "total" INTEGER,
+    "processed" INTEGER NOT NULL DEFAULT 0,
+    "deprioritized" INTEGER NOT NULL DEFAULT 0,
+    "hidden" INTEGER NOT NULL DEFAULT 0,
+    "restored" INTEGER NOT NULL DEFAULT 0,
+    "skipped" INTEGER NOT NULL DEFAULT 0,
+    "failed" INTEGER NOT NULL DEFAULT 0,
+    "errors" TEXT,
+    "heartbeatAt" DATETIME,
+    "startedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" DATETIME,
+    CONSTRAINT "SyncRun_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "SyncRun_shopId_startedAt_idx" ON "SyncRun"("shopId", "startedAt");
+
+-- CreateIndex
+CREATE INDEX "SyncRun_status_idx" ON "SyncRun"("status");
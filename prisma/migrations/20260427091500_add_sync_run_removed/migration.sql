@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "SyncRun" ADD COLUMN "removed" INTEGER NOT NULL DEFAULT 0;
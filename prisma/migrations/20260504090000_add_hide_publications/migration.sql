@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "CollectionRule" ADD COLUMN "hidePublicationIds" TEXT;
+
+-- AlterTable
+ALTER TABLE "Shop" ADD COLUMN "hidePublicationIds" TEXT;
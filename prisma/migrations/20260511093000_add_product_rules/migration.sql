@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "ActivityLog" ADD COLUMN "rule" TEXT;
+
+-- CreateTable
+CREATE TABLE "ProductRule" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shopId" TEXT NOT NULL,
+    "field" TEXT NOT NULL,
+    "value" TEXT,
+    "minPrice" REAL,
+    "maxPrice" REAL,
+    "behavior" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "ProductRule_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "ProductRule_shopId_idx" ON "ProductRule"("shopId");
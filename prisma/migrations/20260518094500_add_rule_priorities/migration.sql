@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "CollectionRule" ADD COLUMN "priority" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "ProductRule" ADD COLUMN "priority" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "Shop" ADD COLUMN "conflictPolicy" TEXT NOT NULL DEFAULT 'PER_COLLECTION';
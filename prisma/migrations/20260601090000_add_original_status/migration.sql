@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ProductSnapshot" ADD COLUMN "originalStatus" TEXT;
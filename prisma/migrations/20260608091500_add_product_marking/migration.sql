@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "Shop" ADD COLUMN "markTag" TEXT;
+ALTER TABLE "Shop" ADD COLUMN "markMetafield" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "ProductSnapshot" ADD COLUMN "markTag" TEXT;
+ALTER TABLE "ProductSnapshot" ADD COLUMN "originalMetafieldValue" TEXT;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "Shop" ADD COLUMN "escalation" TEXT;
+ALTER TABLE "Shop" ADD COLUMN "lastEscalationAt" DATETIME;
+
+-- AlterTable
+ALTER TABLE "CollectionRule" ADD COLUMN "escalation" TEXT;
+
+-- AlterTable
+ALTER TABLE "ProductRule" ADD COLUMN "escalation" TEXT;
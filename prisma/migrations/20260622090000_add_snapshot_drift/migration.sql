@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "ProductSnapshot" ADD COLUMN "driftDetail" TEXT;
+ALTER TABLE "ProductSnapshot" ADD COLUMN "driftDetectedAt" DATETIME;
+ALTER TABLE "ProductSnapshot" ADD COLUMN "adoptedAt" DATETIME;
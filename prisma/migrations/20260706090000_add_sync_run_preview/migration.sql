@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "SyncRun" ADD COLUMN "preview" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "SyncRun" ADD COLUMN "report" TEXT;
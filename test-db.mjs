@@ -16,7 +16,15 @@ function assert(condition, msg) {
 }
 
 // Import the pure function directly
-import { getEffectiveBehavior } from "./app/services/settings.server.js";
+import { getEffectiveBehavior, getEffectivePlacement, getEscalation, getHidePublicationIds, getNextSyncAt, getStockLocationIds, getStockRule, isCompleteRuleOrder, matchesProductRule, normalizeEscalation, resolveBehaviors, validateCollectionRule, validateProductOverride, validateProductRule } from "./app/services/settings.server.js";
+import { getLowStockReason, isKeptInStockByOverselling, isLowStock, isRestocked, summarizeStock } from "./app/services/inventory.server.js";
+import { streamBulkProducts } from "./app/services/bulk-sync.server.js";
+import { GraphqlError, ThrottledError, createAdminClient } from "./app/services/graphql-client.server.js";
+import { countResults, createSyncCounts, evaluateProduct, planOutOfStock } from "./app/services/sync.server.js";
+import { findStatusDrift, restoreProductStatus, setProductStatus } from "./app/services/product-status.server.js";
+import { describeMarks, markProduct, unmarkProduct } from "./app/services/product-marking.server.js";
+import { toCsv } from "./app/utils/report-csv.js";
+import { describeCollectionDrift, findNeighbours, planFinalOrder, planMoves, resolveRestorePosition } from "./app/services/collection-reorder.server.js";
 
 const TEST_DOMAIN = `test-shop-${Date.now()}.myshopify.com`;
 
@@ -167,6 +175,390 @@ async function runTests() {
     "No rule + applyToAll=false returns EXCLUDE"
   );
 
+  // ── Test 5e: getEffectivePlacement — rule overrides shop fields ──
+  console.log("\nTest 5e: getEffectivePlacement — rule overrides shop fields");
+  const shopPlacement = {
+    enabled: true,
+    placement: "AFTER_IN_STOCK",
+    placementOffset: 0,
+    soldOutOrder: "NEWEST_FIRST",
+    collectionRules: [
+      { collectionId: "coll_123", placement: "OFFSET", placementOffset: 5, soldOutOrder: null },
+    ],
+  };
+  const ruled = getEffectivePlacement(shopPlacement, "coll_123");
+  assert(ruled.placement === "OFFSET", "Rule placement wins");
+  assert(ruled.placementOffset === 5, "Rule offset wins");
+  assert(ruled.soldOutOrder === "NEWEST_FIRST", "Unset rule field falls back to shop");
+  assert(
+    getEffectivePlacement(shopPlacement, "coll_999").placement === "AFTER_IN_STOCK",
+    "No rule returns shop placement"
+  );
+
+  // ── Test 5f: low-stock threshold with restock buffer ──
+  console.log("\nTest 5f: low-stock threshold with restock buffer");
+  const shopThreshold = {
+    lowStockThreshold: 3,
+    lowStockMode: "TOTAL",
+    restockBuffer: 2,
+    collectionRules: [{ collectionId: "coll_123", lowStockThreshold: 10 }],
+  };
+  const stockRule = getStockRule(shopThreshold, null);
+  const twoUnits = summarizeStock([{ id: "v1", inventoryQuantity: 1 }, { id: "v2", inventoryQuantity: 1 }]);
+  const fourUnits = summarizeStock([{ id: "v1", inventoryQuantity: 4 }]);
+  const sixUnits = summarizeStock([{ id: "v1", inventoryQuantity: 6 }]);
+  assert(isLowStock(twoUnits, stockRule), "2 units is below threshold 3");
+  assert(!isLowStock(fourUnits, stockRule), "4 units is not below threshold 3");
+  assert(!isRestocked(fourUnits, stockRule), "4 units is not restocked with buffer 2");
+  assert(isRestocked(sixUnits, stockRule), "6 units is restocked with buffer 2");
+  assert(getStockRule(shopThreshold, "coll_123").threshold === 10, "Collection rule overrides threshold");
+  assert(
+    !isLowStock(summarizeStock([{ id: "v1", inventoryQuantity: 0 }, { id: "v2", inventoryQuantity: 5 }]), { threshold: 1, mode: "EACH_VARIANT" }),
+    "EACH_VARIANT is not low while one variant has stock"
+  );
+
+  // ── Test 5g: partial availability rules ──
+  console.log("\nTest 5g: partial availability rules");
+  const tshirt = summarizeStock([
+    { id: "v1", inventoryQuantity: 4, selectedOptions: [{ name: "Size", value: "XXS" }] },
+    { id: "v2", inventoryQuantity: 0, selectedOptions: [{ name: "Size", value: "M" }] },
+    { id: "v3", inventoryQuantity: 0, selectedOptions: [{ name: "Size", value: "L" }] },
+  ]);
+  const partialRule = { threshold: 1, mode: "EACH_VARIANT", buffer: 0, soldOutPercent: null, coreOptionValues: [] };
+  assert(getLowStockReason(tshirt, partialRule) === null, "In stock without partial rules");
+  assert(
+    getLowStockReason(tshirt, { ...partialRule, soldOutPercent: 60 }) === "SOLD_OUT_PERCENT",
+    "2 of 3 variants sold out fires a 60% rule"
+  );
+  assert(
+    getLowStockReason(tshirt, { ...partialRule, coreOptionValues: ["m", "l"] }) === "CORE_OPTIONS",
+    "All core sizes sold out fires the core option rule"
+  );
+
+  // ── Test 5h: sync schedule ──
+  console.log("\nTest 5h: sync schedule");
+  const evening = new Date("2026-04-06T21:30:00Z");
+  assert(getNextSyncAt("OFF", evening) === null, "OFF has no next run");
+  assert(getNextSyncAt("HOURLY", evening).toISOString() === "2026-04-06T22:30:00.000Z", "HOURLY runs an hour later");
+  assert(getNextSyncAt("NIGHTLY", evening).toISOString() === "2026-04-07T03:00:00.000Z", "NIGHTLY runs at the next 03:00 UTC");
+
+  // ── Test 5i: product rules ──
+  console.log("\nTest 5i: product rules");
+  const tee = { tags: ["Clearance", "summer"], vendor: "Acme", productType: "Shirts", price: 19.5 };
+  assert(matchesProductRule({ field: "TAG", value: "clearance" }, tee), "Tag matches case-insensitively");
+  assert(!matchesProductRule({ field: "TAG", value: "never-hide" }, tee), "Missing tag doesn't match");
+  assert(matchesProductRule({ field: "VENDOR", value: "acme" }, tee), "Vendor matches");
+  assert(matchesProductRule({ field: "PRICE", minPrice: 10, maxPrice: null }, tee), "Open-ended price range matches");
+  assert(!matchesProductRule({ field: "PRICE", minPrice: 20, maxPrice: 50 }, tee), "Price below the range doesn't match");
+  const ruledShop = { enabled: true, applyToAll: true, defaultBehavior: "PUSH_TO_END", collectionRules: [], productRules: [{ field: "TAG", value: "clearance", behavior: "HIDE" }] };
+  assert(getEffectiveBehavior(ruledShop, "coll_1", tee) === "HIDE", "Matching product rule beats the default");
+  assert(getEffectiveBehavior(ruledShop, "coll_1") === "PUSH_TO_END", "Without product attributes the default applies");
+
+  // ── Test 5j: rule priorities and conflicts ──
+  console.log("\nTest 5j: rule priorities and conflicts");
+  const conflictShop = {
+    enabled: true,
+    applyToAll: true,
+    defaultBehavior: "PUSH_TO_END",
+    conflictPolicy: "PER_COLLECTION",
+    productRules: [{ field: "TAG", value: "clearance", behavior: "EXCLUDE", priority: 1 }],
+    collectionRules: [{ collectionId: "coll_sale", collectionTitle: "Sale", behavior: "HIDE", priority: 0 }],
+  };
+  assert(getEffectiveBehavior(conflictShop, "coll_sale", tee) === "HIDE", "Higher-priority collection rule beats a matching product rule");
+  assert(getEffectiveBehavior(conflictShop, "coll_new", tee) === "EXCLUDE", "Product rule applies where no collection rule does");
+  const perCollection = resolveBehaviors(conflictShop, ["coll_sale", "coll_new"], tee);
+  assert(perCollection.get("coll_new").behavior === "EXCLUDE", "PER_COLLECTION keeps each collection's behavior");
+  const strictest = resolveBehaviors({ ...conflictShop, conflictPolicy: "MOST_RESTRICTIVE" }, ["coll_sale", "coll_new"], tee);
+  assert(strictest.get("coll_new").behavior === "HIDE", "MOST_RESTRICTIVE applies HIDE everywhere");
+  const mildest = resolveBehaviors({ ...conflictShop, conflictPolicy: "LEAST_RESTRICTIVE" }, ["coll_sale", "coll_new"], tee);
+  assert(mildest.get("coll_sale").behavior === "EXCLUDE", "LEAST_RESTRICTIVE applies EXCLUDE everywhere");
+
+  // ── Test 5k: product overrides ──
+  console.log("\nTest 5k: product overrides");
+  const giftCard = { id: "prod_gift", tags: [], behaviorMetafield: "never-touch" };
+  assert(getEffectiveBehavior(conflictShop, "coll_sale", giftCard) === "EXCLUDE", "never-touch metafield beats a HIDE rule");
+  const pinnedShop = { ...conflictShop, collectionRules: [{ collectionId: "coll_new", collectionTitle: "New", behavior: "PUSH_TO_END" }], productOverrides: [{ productId: "prod_hero", behavior: "PIN" }] };
+  assert(getEffectiveBehavior(pinnedShop, "coll_new", { id: "prod_hero", tags: [] }) === "EXCLUDE", "Pinned product isn't pushed");
+  const overridden = { ...pinnedShop, productOverrides: [{ productId: "prod_gift", behavior: "ALWAYS_HIDE" }] };
+  assert(getEffectiveBehavior(overridden, "coll_new", giftCard) === "HIDE", "Override set in the app wins over the metafield");
+
+  // ── Test 5l: escalation ladders ──
+  console.log("\nTest 5l: escalation ladders");
+  assert(normalizeEscalation("90:draft, 14:HIDE, 0:ARCHIVE, 5:PUSH_TO_END") === "14:HIDE,90:DRAFT", "Ladder is sorted and invalid steps dropped");
+  const ladder = { behavior: "PUSH_TO_END", rule: "Default", escalation: "14:HIDE,90:DRAFT" };
+  const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  assert(getEscalation(ladder, daysAgo(3)) === null, "No step due after 3 days");
+  assert(getEscalation(ladder, daysAgo(20)).behaviors.join() === "HIDE", "Hide is due after 20 days");
+  assert(getEscalation(ladder, daysAgo(100)).behaviors.join() === "HIDE,DRAFT", "Earlier steps stay applied after 100 days");
+  assert(getEscalation({ ...ladder, behavior: "EXCLUDE" }, daysAgo(100)) === null, "Excluding rules don't escalate");
+
+  // ── Test 5m: reorder moves and restore positions ──
+  console.log("\nTest 5m: reorder moves and restore positions");
+  const applyMoves = (ids, moves) => {
+    const order = [...ids];
+    for (const { id, newPosition } of moves) {
+      order.splice(order.indexOf(id), 1);
+      order.splice(Number(newPosition), 0, id);
+    }
+    return order;
+  };
+  assert(planMoves(["a", "b", "c"], ["a", "b", "c"]).length === 0, "No moves when already in order");
+  const single = planMoves(["a", "b", "c", "d"], ["b", "c", "d", "a"]);
+  assert(single.length === 1 && single[0].id === "a" && single[0].newPosition === "3", "One product to the end is one move");
+  const blockFinal = ["a", "c", "e", "f", "b", "d"];
+  const blockMoves = planMoves(["a", "b", "c", "d", "e", "f"], blockFinal);
+  assert(blockMoves.length === 2, "Only the pushed block moves");
+  assert(applyMoves(["a", "b", "c", "d", "e", "f"], blockMoves).join() === blockFinal.join(), "Moves applied in order give the final order");
+  const shuffled = ["f", "a", "e", "b", "d", "c"];
+  assert(applyMoves(shuffled, planMoves(shuffled, blockFinal)).join() === blockFinal.join(), "Any order can be reached");
+  const shelf = ["a", "c", "d", "b"].map((id) => ({ id }));
+  const restoreB = { productId: "b", previousProductId: "a", nextProductId: "c", originalPosition: 1 };
+  assert(resolveRestorePosition(shelf, restoreB, new Set()) === 1, "Restores right after the previous neighbour");
+  assert(resolveRestorePosition(shelf, { ...restoreB, previousProductId: "gone", nextProductId: "d" }, new Set()) === 2, "Falls back to the next neighbour when the previous one is gone");
+  assert(resolveRestorePosition(shelf, { ...restoreB, nextProductId: "d" }, new Set(["a"])) === 2, "A pushed neighbour doesn't count");
+  assert(resolveRestorePosition(shelf, { ...restoreB, previousProductId: null, nextProductId: null, originalPosition: 10 }, new Set()) === 3, "Without neighbours the saved index is clamped");
+  const neighbours = findNeighbours(["a", "b", "c", "d", "e"].map((id) => ({ id })), 2, new Set(["b", "d"]));
+  assert(neighbours.previousProductId === "a" && neighbours.nextProductId === "e", "Neighbours skip pushed products");
+  const shelfStock = {
+    a: summarizeStock([{ id: "va", inventoryQuantity: 3 }]),
+    b: summarizeStock([{ id: "vb", inventoryQuantity: 0 }]),
+    c: summarizeStock([{ id: "vc", inventoryQuantity: 0, inventoryItem: { tracked: false } }]),
+    d: summarizeStock([{ id: "vd", inventoryQuantity: 0 }]),
+    e: summarizeStock([{ id: "ve", inventoryQuantity: 0 }]),
+  };
+  const inStockRule = { threshold: 1, mode: "EACH_VARIANT", oversellInStock: true };
+  const soldOutBlock = [
+    { id: "b", index: 1, originalPosition: 1, soldOutAt: new Date("2026-01-01"), isNew: false },
+    { id: "e", index: 4, originalPosition: 4, soldOutAt: new Date("2026-02-01"), isNew: true },
+  ];
+  const afterInStock = planFinalOrder(
+    ["a", "b", "c", "d", "e"].map((id) => ({ id })),
+    soldOutBlock,
+    { placement: "AFTER_IN_STOCK", soldOutOrder: "OLDEST_FIRST" },
+    (id) => !isLowStock(shelfStock[id], inStockRule),
+  );
+  assert(afterInStock.join() === "a,c,b,e,d", "Sold-out block goes after the last product in stock under the shop's rules");
+
+  // ── Test 5n: overselling ──
+  console.log("\nTest 5n: overselling");
+  const backorder = summarizeStock([
+    { id: "v1", inventoryQuantity: 0, inventoryPolicy: "CONTINUE", inventoryItem: { tracked: true } },
+    { id: "v2", inventoryQuantity: 0, inventoryPolicy: "DENY", inventoryItem: { tracked: false } },
+    { id: "v3", inventoryQuantity: 0, inventoryPolicy: "DENY", inventoryItem: { tracked: true } },
+  ]);
+  assert(backorder.variants.map((v) => v.oversellable).join() === "true,true,false", "Continue selling and untracked variants are oversellable");
+  const oversellRule = { threshold: 1, mode: "TOTAL", oversellInStock: true };
+  assert(!isLowStock(backorder, oversellRule), "Oversellable variants keep the product in stock");
+  assert(isKeptInStockByOverselling(backorder, oversellRule), "Only overselling keeps it in stock");
+  assert(isLowStock(backorder, { ...oversellRule, oversellInStock: false }), "Counted by quantity when overselling is off");
+  assert(!isKeptInStockByOverselling(backorder, { ...oversellRule, oversellInStock: false }), "Not kept in stock when overselling is off");
+  assert(!isKeptInStockByOverselling(sixUnits, oversellRule), "Stock on hand isn't kept in stock by overselling");
+
+  // ── Test 5o: bulk operation results ──
+  console.log("\nTest 5o: bulk operation results");
+  const bulkLines = [];
+  for (let i = 1; i <= 251; i++) {
+    const productId = `gid://shopify/Product/${i}`;
+    bulkLines.push({ id: productId, title: `Product ${i}`, tags: [] });
+    bulkLines.push({ id: `gid://shopify/ProductVariant/${i}`, inventoryQuantity: i % 2, __parentId: productId });
+  }
+  bulkLines.splice(2, 0, { id: "gid://shopify/Collection/1", title: "Sale", sortOrder: "MANUAL", __parentId: "gid://shopify/Product/1" });
+  const bulkAdmin = {
+    graphql: async (query) => (query.includes("bulkOperationRunQuery")
+      ? { data: { bulkOperationRunQuery: { bulkOperation: { id: "op1", status: "CREATED" }, userErrors: [] } } }
+      : { data: { node: { id: "op1", status: "COMPLETED", url: `data:application/jsonl,${encodeURIComponent(bulkLines.map((l) => JSON.stringify(l)).join("\n"))}` } } }),
+  };
+  const streamed = [];
+  for await (const entry of streamBulkProducts(bulkAdmin)) streamed.push(entry);
+  assert(streamed.length === 251, "Every product is streamed");
+  assert(streamed[0].stock.total === 1 && streamed[0].collections[0]?.title === "Sale", "Variants and collections stay with their product");
+  assert(
+    streamed.filter((e) => e.checkpoint).map((e) => e.checkpoint).join() === "gid://shopify/Product/250",
+    "A checkpoint every 250 products"
+  );
+  const resumed = [];
+  for await (const entry of streamBulkProducts(bulkAdmin, { after: "gid://shopify/Product/250" })) resumed.push(entry);
+  assert(resumed.length === 1 && resumed[0].product.id === "gid://shopify/Product/251", "Resuming skips every product up to the checkpoint");
+  const badLocation = await (async () => {
+    for await (const entry of streamBulkProducts(bulkAdmin, { locationIds: ['1") { shop { id } } #'] })) void entry;
+  })().catch((error) => error);
+  assert(badLocation?.message?.startsWith("Invalid stock location ID"), "Location IDs are checked before going into a bulk query");
+
+  // ── Test 5p: GraphQL client retries ──
+  console.log("\nTest 5p: GraphQL client retries");
+  const graphqlFailure = (errors) => Object.assign(new Error("GraphQL error"), { body: { errors: { graphQLErrors: errors } } });
+  let attempts = 0;
+  const flaky = createAdminClient({
+    graphql: async () => {
+      attempts++;
+      if (attempts === 1) throw graphqlFailure([{ message: "Throttled", extensions: { code: "THROTTLED" } }]);
+      return { json: async () => ({ data: { shop: { name: "Test" } } }) };
+    },
+  }, "flaky.myshopify.com");
+  const flakyBody = await flaky.graphql("{ shop { name } }");
+  assert(flakyBody.data.shop.name === "Test" && attempts === 2, "Throttled request is retried");
+  const caught = async (client) => {
+    try {
+      await client.graphql("{ shop { name } }");
+    } catch (error) {
+      return error;
+    }
+    return null;
+  };
+  const invalid = await caught(createAdminClient({
+    graphql: async () => { throw graphqlFailure([{ message: "Field 'nope' doesn't exist" }]); },
+  }, "invalid.myshopify.com"));
+  assert(
+    invalid instanceof GraphqlError && !(invalid instanceof ThrottledError) && invalid.message === "Field 'nope' doesn't exist",
+    "Other GraphQL errors are thrown as GraphqlError"
+  );
+  const unauthorized = new Response(null, { status: 401 });
+  const passedThrough = await caught(createAdminClient({ graphql: async () => { throw unauthorized; } }, "auth.myshopify.com"));
+  assert(passedThrough === unauthorized, "Authentication responses pass through unchanged");
+
+  // ── Test 5q: sync preview ──
+  console.log("\nTest 5q: sync preview");
+  const previewShop = {
+    id: "shop_preview",
+    enabled: true,
+    applyToAll: true,
+    defaultBehavior: "PUSH_TO_END",
+    collectionRules: [{ collectionId: "coll_gifts", collectionTitle: "Gifts", behavior: "EXCLUDE" }],
+    productRules: [],
+  };
+  const report = [];
+  await evaluateProduct(null, previewShop, { id: "prod_mug", title: "Mug, \"large\"", tags: [] }, summarizeStock([{ id: "v1", inventoryQuantity: 0 }]), {
+    activeSnapshots: [],
+    collections: [{ id: "coll_new", title: "New" }, { id: "coll_gifts", title: "Gifts" }],
+    report,
+  });
+  assert(report.map((e) => e.action).join() === "DEPRIORITIZED,SKIPPED", "Preview reports the push and the excluded collection");
+  const csvLines = toCsv(report).split("\n");
+  assert(csvLines.length === 3 && csvLines[0].startsWith("Product ID,"), "CSV has a header and one row per entry");
+  assert(csvLines[1].startsWith('"prod_mug","Mug, ""large""","New","DEPRIORITIZED"'), "CSV values are quoted and quotes doubled");
+
+  // ── Test 5r: sync run progress ──
+  console.log("\nTest 5r: sync run progress");
+  const resumedCounts = createSyncCounts({ processed: 500, deprioritized: 3, hidden: 1, removed: 0, restored: 2, skipped: 4, failed: 1, errors: '["Mug: timeout"]' });
+  assert(resumedCounts.processed === 500 && resumedCounts.errors[0] === "Mug: timeout", "A resumed run carries on its counts and errors");
+  assert(createSyncCounts().processed === 0 && createSyncCounts().errors.length === 0, "A new run starts from zero");
+  countResults(resumedCounts, [
+    { action: "DEPRIORITIZED" },
+    { action: "ARCHIVED" },
+    { action: "RESTORED_STATUS" },
+    { action: "QUEUED" },
+    { action: "FAILED" },
+  ]);
+  assert(resumedCounts.deprioritized === 4 && resumedCounts.hidden === 2 && resumedCounts.restored === 3, "Results are added to the counts");
+  assert(resumedCounts.failed === 2 && resumedCounts.skipped === 4, "Queued pushes aren't counted until applied");
+
+  // ── Test 5s: removing from collections ──
+  console.log("\nTest 5s: removing from collections");
+  const removeShop = {
+    enabled: true,
+    applyToAll: true,
+    defaultBehavior: "PUSH_TO_END",
+    collectionRules: [{ collectionId: "coll_sale", collectionTitle: "Sale", behavior: "REMOVE_FROM_COLLECTION" }],
+    productRules: [],
+  };
+  const soldOut = summarizeStock([{ id: "v1", inventoryQuantity: 0 }]);
+  const removeSteps = planOutOfStock(removeShop, [{ id: "coll_sale", title: "Sale" }, { id: "coll_new", title: "New" }], soldOut, { tags: [] });
+  assert(removeSteps.map((s) => s.action).join() === "REMOVED_FROM_COLLECTION,DEPRIORITIZED", "Removed from its REMOVE collection, pushed elsewhere");
+  assert(
+    planOutOfStock(removeShop, [{ id: "coll_sale", title: "Sale" }], summarizeStock([{ id: "v1", inventoryQuantity: 5 }]), { tags: [] }).length === 0,
+    "Nothing is removed while in stock"
+  );
+
+  // ── Test 5t: sales channels to hide from ──
+  console.log("\nTest 5t: sales channels to hide from");
+  const channelShop = {
+    hidePublicationIds: " pub_online , ,pub_pos",
+    collectionRules: [
+      { collectionId: "coll_wholesale", hidePublicationIds: "pub_b2b" },
+      { collectionId: "coll_blank", hidePublicationIds: " , " },
+    ],
+  };
+  assert(getHidePublicationIds(channelShop, null).join() === "pub_online,pub_pos", "Shop list is trimmed and blanks dropped");
+  assert(getHidePublicationIds(channelShop, "coll_wholesale").join() === "pub_b2b", "Collection rule's channels win over the shop's");
+  assert(getHidePublicationIds(channelShop, "coll_blank").join() === "pub_online,pub_pos", "An empty collection list falls back to the shop's");
+  assert(getHidePublicationIds({ hidePublicationIds: "" }, null) === null, "No channels chosen means every channel");
+  assert(getStockLocationIds({ stockLocationIds: null }) === null, "No locations chosen means every location counts");
+
+  // ── Test 5u: rule validation ──
+  console.log("\nTest 5u: rule validation");
+  const tagRule = { field: "TAG", value: "clearance", minPrice: null, maxPrice: null, behavior: "HIDE" };
+  assert(validateProductRule(tagRule) === null, "A complete tag rule is valid");
+  assert(validateProductRule({ ...tagRule, field: "COLOUR" }) !== null, "Unknown field is rejected");
+  assert(validateProductRule({ ...tagRule, behavior: "DELETE" }) !== null, "Unknown behavior is rejected");
+  assert(validateProductRule({ ...tagRule, value: null }) !== null, "Tag rule without a value is rejected");
+  const priceRule = { ...tagRule, field: "PRICE", value: null, minPrice: 50, maxPrice: 10 };
+  assert(validateProductRule(priceRule) !== null, "Minimum above maximum is rejected");
+  assert(validateProductRule({ ...priceRule, maxPrice: null }) === null, "Open-ended price range is valid");
+  assert(validateCollectionRule({ collectionId: "coll_sale", behavior: "REMOVE_FROM_COLLECTION" }) === null, "A collection rule with a known behavior is valid");
+  assert(validateCollectionRule({ collectionId: "coll_sale", behavior: "SHRINK" }) !== null, "Unknown collection rule behavior is rejected");
+  assert(validateCollectionRule({ collectionId: null, behavior: "HIDE" }) !== null, "Collection rule without a collection is rejected");
+  assert(validateProductOverride({ behavior: "PIN" }) === null, "A known override is valid");
+  assert(validateProductOverride({ behavior: "FREEZE" }) !== null, "Unknown override is rejected");
+
+  // ── Test 5v: rule order validation ──
+  console.log("\nTest 5v: rule order validation");
+  const orderShop = { collectionRules: [{ id: "cr1", priority: 1 }], productRules: [{ id: "pr1", priority: 0 }, { id: "pr2", priority: 2 }] };
+  const fullOrder = [{ type: "PRODUCT", id: "pr2" }, { type: "COLLECTION", id: "cr1" }, { type: "PRODUCT", id: "pr1" }];
+  assert(isCompleteRuleOrder(orderShop, fullOrder), "Every rule listed once is accepted");
+  assert(!isCompleteRuleOrder(orderShop, fullOrder.slice(1)), "A partial list is rejected");
+  assert(!isCompleteRuleOrder(orderShop, [...fullOrder.slice(1), { type: "PRODUCT", id: "pr1" }]), "A duplicate is rejected");
+  assert(!isCompleteRuleOrder(orderShop, [{ type: "COLLECTION", id: "pr2" }, ...fullOrder.slice(1)]), "A rule with the wrong type is rejected");
+  assert(!isCompleteRuleOrder(orderShop, null), "A missing list is rejected");
+
+  // ── Test 5w: product-level behaviors ──
+  console.log("\nTest 5w: product-level behaviors");
+  const statusShop = {
+    enabled: true,
+    applyToAll: true,
+    defaultBehavior: "DRAFT",
+    conflictPolicy: "PER_COLLECTION",
+    collectionRules: [
+      { collectionId: "coll_hide", collectionTitle: "Hide", behavior: "HIDE" },
+      { collectionId: "coll_archive", collectionTitle: "Archive", behavior: "ARCHIVE" },
+      { collectionId: "coll_push", collectionTitle: "Push", behavior: "PUSH_TO_END" },
+    ],
+    productRules: [],
+  };
+  const statusSteps = planOutOfStock(statusShop, [
+    { id: "coll_hide", title: "Hide" },
+    { id: "coll_archive", title: "Archive" },
+    { id: "coll_push", title: "Push" },
+  ], soldOut, { tags: [] });
+  assert(statusSteps.filter((s) => s.action !== "DEPRIORITIZED").map((s) => s.action).join() === "ARCHIVED", "Only the most restrictive product-level step is planned");
+  const uncollected = planOutOfStock(statusShop, [], soldOut, { tags: [] });
+  assert(uncollected.length === 1 && uncollected[0].action === "DRAFTED" && uncollected[0].collection === null, "A product without collections still gets the default status step");
+
+  // ── Test 5x: mark descriptions ──
+  console.log("\nTest 5x: mark descriptions");
+  assert(describeMarks({ tag: "sold-out", metafield: true }) === 'tag "sold-out" and metafield tidyshelf.out_of_stock_at', "Tag and metafield are both named");
+  assert(describeMarks({ tag: null, metafield: true }) === "metafield tidyshelf.out_of_stock_at", "Metafield only");
+  assert(describeMarks({ tag: null, metafield: false }) === "", "Nothing marked");
+
+  // ── Test 5y: collection drift ──
+  console.log("\nTest 5y: collection drift");
+  const pushedB = { action: "PUSHED_TO_END", productId: "b", placedBelowProductId: "c" };
+  const removedX = { action: "REMOVED_FROM_COLLECTION", productId: "x" };
+  const driftOf = (ids, snapshot, sortOrder = "MANUAL") =>
+    describeCollectionDrift({ title: "Shirts", sortOrder, products: ids.map((id) => ({ id })) }, [pushedB, removedX])
+      .find((r) => r.snapshot === snapshot).drift;
+
+  assert(driftOf(["a", "c", "b"], pushedB) === null, "Pushed product still below its anchor");
+  assert(driftOf(["a", "c", "b", "new1", "new2"], pushedB) === null, "Products added after the push don't count");
+  assert(driftOf(["b", "a", "c"], pushedB) === "Moved back up in Shirts", "Pushed product dragged above its anchor");
+  assert(driftOf(["b", "a"], pushedB) === null, "Anchor gone, nothing to compare with");
+  assert(driftOf(["a", "c"], pushedB) === "No longer in Shirts", "Pushed product taken out");
+  assert(driftOf(["a", "c", "b"], pushedB, "BEST_SELLING") === "Shirts sort order changed to BEST_SELLING", "Sort order changed");
+  assert(driftOf(["a", "c", "b"], removedX) === null, "Removed product still out");
+  assert(driftOf(["a", "x", "c", "b"], removedX) === "Added back to Shirts", "Removed product added back");
+  const bothPushed = describeCollectionDrift({ title: "Shirts", sortOrder: "MANUAL", products: [{ id: "b" }, { id: "c" }] },
+    [pushedB, { action: "PUSHED_TO_END", productId: "c", placedBelowProductId: "a" }]);
+  assert(bothPushed[0].drift === null, "An anchor that was pushed too doesn't count");
+
   // ── Test 6: ProductSnapshot CRUD ──
   console.log("\nTest 6: ProductSnapshot CRUD");
   const snap = await prisma.productSnapshot.create({
@@ -277,6 +669,102 @@ async function runTests() {
   }
   assert(threw, "Duplicate snapshot throws unique constraint error");
 
+  // ── Test 11: product status snapshots ──
+  console.log("\nTest 11: product status snapshots");
+  let liveStatus = "ACTIVE";
+  let statusUpdate = "OK";
+  const statusAdmin = {
+    graphql: async (query, { variables }) => {
+      if (query.includes("getProductStatus")) return { data: { product: { id: variables.id, status: liveStatus } } };
+      if (statusUpdate === "REJECT") return { data: { productUpdate: { userErrors: [{ field: ["status"], message: "Not allowed" }] } } };
+      if (statusUpdate === "THROW") throw new Error("Connection reset");
+      liveStatus = variables.product.status;
+      return { data: { productUpdate: { product: { id: variables.product.id, status: liveStatus }, userErrors: [] } } };
+    },
+  };
+  const statusSnapshots = () => prisma.productSnapshot.count({
+    where: { shopId: shop3.id, productId: "prod_status", action: "STATUS_CHANGED", status: "ACTIVE" },
+  });
+
+  statusUpdate = "REJECT";
+  const rejected = await setProductStatus(statusAdmin, shop3.id, "prod_status", "ARCHIVED");
+  assert(!rejected.success && await statusSnapshots() === 0, "A rejected status change leaves no snapshot");
+
+  statusUpdate = "THROW";
+  await setProductStatus(statusAdmin, shop3.id, "prod_status", "DRAFT").catch(() => null);
+  assert(await statusSnapshots() === 1, "A request that fails midway keeps the snapshot");
+
+  statusUpdate = "OK";
+  await setProductStatus(statusAdmin, shop3.id, "prod_status", "DRAFT");
+  const archived = await setProductStatus(statusAdmin, shop3.id, "prod_status", "ARCHIVED");
+  assert(liveStatus === "ARCHIVED" && archived.previousStatus === "ACTIVE", "Drafting then archiving keeps the first status");
+
+  const statusDrift = async () => (await findStatusDrift(statusAdmin, shop3.id, "prod_status"))[0].drift;
+  assert(await statusDrift() === null, "The status TidyShelf set isn't drift");
+  liveStatus = "DRAFT";
+  assert(await statusDrift() === "Status changed to DRAFT", "A status changed by hand is drift");
+  liveStatus = "ARCHIVED";
+
+  const restoredStatus = await restoreProductStatus(statusAdmin, shop3.id, "prod_status");
+  assert(restoredStatus.restoredStatus === "ACTIVE" && liveStatus === "ACTIVE", "Restoring puts the original status back");
+  assert(await statusSnapshots() === 0, "The snapshot is retired once restored");
+
+  await setProductStatus(statusAdmin, shop3.id, "prod_status", "DRAFT");
+  liveStatus = "ARCHIVED";
+  await prisma.productSnapshot.updateMany({
+    where: { shopId: shop3.id, productId: "prod_status", action: "STATUS_CHANGED", status: "ACTIVE" },
+    data: { adoptedAt: new Date() },
+  });
+  const adoptedStatus = await restoreProductStatus(statusAdmin, shop3.id, "prod_status");
+  assert(!adoptedStatus.restoredStatus && liveStatus === "ARCHIVED", "An adopted status change is left as it is");
+  assert(await statusSnapshots() === 0, "The adopted snapshot is retired too");
+
+  // ── Test 12: marking products ──
+  console.log("\nTest 12: marking products");
+  const markCalls = [];
+  const markAdmin = {
+    graphql: async (query, { variables }) => {
+      const name = query.match(/(?:query|mutation) (\w+)/)[1];
+      markCalls.push(name);
+      if (name === "getProductMarks") {
+        const tags = variables.id === "prod_tagged" ? ["Sold-Out"] : [];
+        return { data: { product: { id: variables.id, tags, metafield: { value: "2026-01-01T00:00:00Z" } } } };
+      }
+      return { data: { [name === "addTag" ? "tagsAdd" : name === "removeTag" ? "tagsRemove" : "metafieldsSet"]: { userErrors: [] } } };
+    },
+  };
+  const markShop = { id: shop3.id, markTag: "sold-out", markMetafield: true };
+
+  const marked = await markProduct(markAdmin, markShop, "prod_plain");
+  assert(marked.tag === "sold-out" && marked.metafield, "Tag and metafield added");
+  const markedAgain = await markProduct(markAdmin, markShop, "prod_plain");
+  assert(!markedAgain.tag && !markedAgain.metafield, "Marking twice changes nothing");
+  await unmarkProduct(markAdmin, shop3.id, "prod_plain");
+  assert(markCalls.includes("removeTag") && markCalls.filter((c) => c === "setOutOfStockMetafield").length === 2, "Unmark removes the tag and puts the old metafield value back");
+
+  markCalls.length = 0;
+  const preTagged = await markProduct(markAdmin, { ...markShop, markMetafield: false }, "prod_tagged");
+  await unmarkProduct(markAdmin, shop3.id, "prod_tagged");
+  assert(!preTagged.tag && !markCalls.includes("addTag") && !markCalls.includes("removeTag"), "A tag the merchant added is left alone");
+
+  // ── Test 13: grace period in full syncs ──
+  console.log("\nTest 13: grace period in full syncs");
+  const graceShop = { ...previewShop, id: shop3.id, gracePeriodMinutes: 30 };
+  const graceMug = { id: "prod_grace", title: "Mug", tags: [] };
+  const pendingEntries = () => prisma.pendingProduct.count({ where: { shopId: shop3.id, productId: "prod_grace" } });
+
+  const graceReport = [];
+  await evaluateProduct(null, graceShop, graceMug, soldOut, { deferDemotion: true, activeSnapshots: [], report: graceReport });
+  assert(graceReport[0]?.action === "SKIPPED" && await pendingEntries() === 0, "Preview reports the wait without starting it");
+
+  const deferredSync = await evaluateProduct(null, graceShop, graceMug, soldOut, { deferDemotion: true, activeSnapshots: [] });
+  assert(deferredSync.deferred && await pendingEntries() === 1, "Sync waits out the grace period");
+  await evaluateProduct(null, graceShop, graceMug, soldOut, { deferDemotion: true, activeSnapshots: [] });
+  assert(await pendingEntries() === 1, "A second sync keeps the pending entry");
+
+  await evaluateProduct(null, graceShop, graceMug, summarizeStock([{ id: "v1", inventoryQuantity: 5 }]), { activeSnapshots: [] });
+  assert(await pendingEntries() === 0, "Restocking drops the pending entry");
+
   // Clean up shop3
   await prisma.shop.delete({ where: { id: shop3.id } });
 